@@ -1,6 +1,13 @@
 import * as THREE from 'three';
 import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
 import { XRControllerModelFactory } from 'three/addons/webxr/XRControllerModelFactory.js';
+import { captureTransforms } from './editHistory.js';
+import { DragConstraints, AXIS_VECTORS } from './dragConstraints.js';
+import { ContactHighlight } from './meshCollision.js';
+import { isPickable } from './sceneOutliner.js';
+
+// Pointer travel in pixels up to which a press and release counts as a click
+const CLICK_TOLERANCE = 4;
 
 export class InteractionManager {
     constructor(scene, camera, renderer, domElement) {
@@ -19,15 +26,30 @@ export class InteractionManager {
 
         this.selectedObject = null;
         this.activeController = null;
-        this.lastControllerPosition = new THREE.Vector3();
+        this.controllerStartPosition = new THREE.Vector3();
         this.raycaster = new THREE.Raycaster();
         this.draggableObjects = [];
         this.isDragging = false;
+        // Transform of the selected object when it was picked up, for undo
+        this.transformStart = null;
+        this.transformLabel = 'Move Part';
+        
+        // Gizmo for the part selected by clicking, see setTransformGizmo
+        this.transformGizmo = null;
+        this.pressPosition = null;
+        this.pressedObject = null;
         
         // Mouse/touch position tracking for non-XR dragging
         this.mouse = new THREE.Vector2();
         this.lastMousePosition = new THREE.Vector2();
-        this.lastDragPoint = null;
+        this.dragStartPoint = null;
+        
+        // Axis locks and snapping, shared by mouse, touch and XR dragging
+        this.dragConstraints = new DragConstraints();
+        this.dragSession = null;
+        this.dragAxis = null;
+        // Where the last collision-limited drag touched something
+        this.contactHighlight = new ContactHighlight(scene);
         
         // Store original OrbitControls event handlers
         this.originalOrbitControlHandlers = {
@@ -44,6 +66,7 @@ export class InteractionManager {
         
         // Add event listeners for mouse/touch interaction
         this.setupMouseTouchEvents();
+        this.setupKeyboardEvents();
         
         if (this.renderer) {
             // Listen for session start/end events.
@@ -92,8 +115,33 @@ export class InteractionManager {
         document.addEventListener('touchcancel', this.onTouchEnd.bind(this), { passive: false, capture: true });
     }
     
+    // Holding X, Y or Z locks dragging to that axis
+    setupKeyboardEvents() {
+        document.addEventListener('keydown', (event) => {
+            if (event.ctrlKey || event.metaKey || event.altKey) return;
+            const target = event.target;
+            if (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName)) return;
+            const axis = event.key.toLowerCase();
+            if (AXIS_VECTORS[axis]) this.dragConstraints.setHeldAxis(axis);
+        });
+        document.addEventListener('keyup', (event) => {
+            if (event.key.toLowerCase() === this.dragConstraints.heldAxis) {
+                this.dragConstraints.setHeldAxis(null);
+            }
+        });
+        // A key released in another window never sends keyup here
+        window.addEventListener('blur', () => this.dragConstraints.setHeldAxis(null));
+    }
+    
     onMouseDown(event) {
         if (this.isXRSessionActive) return; // Skip if in XR
+        // A press on a gizmo handle belongs to the gizmo
+        if (this.transformGizmo && this.transformGizmo.isDragging) {
+            this.pressPosition = null;
+            return;
+        }
+        this.pressPosition = { x: event.clientX, y: event.clientY };
+        this.pressedObject = null;
 
         // Update mouse position
         this.mouse.x = (event.clientX / window.innerWidth) * 2 - 1;
@@ -103,9 +151,11 @@ export class InteractionManager {
         this.raycaster.setFromCamera(this.mouse, this.camera);
         const intersects = this.raycaster.intersectObjects(this.draggableObjects, true);
         
-        if (intersects.length > 0) {
+        // Hidden and ghosted parts are looked through
+        const hit = intersects.find(intersect => isPickable(intersect.object));
+        if (hit) {
             // Find the top-level draggable parent of the intersected object
-            let object = intersects[0].object;
+            let object = hit.object;
             let topLevelDraggable = null;
             
             // Traverse up the parent hierarchy
@@ -125,6 +175,7 @@ export class InteractionManager {
                 
                 this.isDragging = true;
                 this.selectedObject = topLevelDraggable;
+                this.pressedObject = topLevelDraggable;
                 
                 // Completely stop event propagation
                 event.stopPropagation();
@@ -133,7 +184,9 @@ export class InteractionManager {
                 // Store initial mouse position for calculating drag delta
                 this.lastMousePosition.x = event.clientX;
                 this.lastMousePosition.y = event.clientY;
-                this.lastDragPoint = null; // Reset drag point reference
+                this.dragStartPoint = null; // Reset drag point reference
+                this.dragSession = null;
+                this.beginTransformRecord();
                 
                 console.log("Selected for drag:", this.selectedObject.name);
                 return false; // Prevent default
@@ -157,13 +210,16 @@ export class InteractionManager {
     }
     
     onMouseUp(event) {
+        this.handleClickSelection(event.clientX, event.clientY);
         if (this.isDragging) {
             // Re-enable orbit controls
             this.enableOrbitControls();
             
+            this.endTransformRecord();
             this.isDragging = false;
             this.selectedObject = null;
-            this.lastDragPoint = null;
+            this.dragStartPoint = null;
+            this.dragSession = null;
             
             // Stop propagation just in case
             event.stopPropagation();
@@ -174,9 +230,19 @@ export class InteractionManager {
     
     onTouchStart(event) {
         if (this.isXRSessionActive) return; // Skip if in XR
-        if (event.touches.length !== 1) return; // Only handle single touches
+        if (event.touches.length !== 1) {
+            // Pinches and two-finger turns are not taps
+            this.pressPosition = null;
+            return; // Only handle single touches
+        }
+        if (this.transformGizmo && this.transformGizmo.isDragging) {
+            this.pressPosition = null;
+            return;
+        }
         
         const touch = event.touches[0];
+        this.pressPosition = { x: touch.clientX, y: touch.clientY };
+        this.pressedObject = null;
         
         // Update mouse position for raycasting
         this.mouse.x = (touch.clientX / window.innerWidth) * 2 - 1;
@@ -186,9 +252,11 @@ export class InteractionManager {
         this.raycaster.setFromCamera(this.mouse, this.camera);
         const intersects = this.raycaster.intersectObjects(this.draggableObjects, true);
         
-        if (intersects.length > 0) {
+        // Hidden and ghosted parts are looked through
+        const hit = intersects.find(intersect => isPickable(intersect.object));
+        if (hit) {
             // Find the top-level draggable parent
-            let object = intersects[0].object;
+            let object = hit.object;
             let topLevelDraggable = null;
             
             while (object) {
@@ -205,6 +273,7 @@ export class InteractionManager {
                 
                 this.isDragging = true;
                 this.selectedObject = topLevelDraggable;
+                this.pressedObject = topLevelDraggable;
                 
                 // Stop event propagation
                 event.stopPropagation();
@@ -213,7 +282,9 @@ export class InteractionManager {
                 // Store initial touch position
                 this.lastMousePosition.x = touch.clientX;
                 this.lastMousePosition.y = touch.clientY;
-                this.lastDragPoint = null;
+                this.dragStartPoint = null;
+                this.dragSession = null;
+                this.beginTransformRecord();
                 
                 console.log("Selected for drag (touch):", this.selectedObject.name);
                 return false;
@@ -240,13 +311,18 @@ export class InteractionManager {
     }
     
     onTouchEnd(event) {
+        if (event.touches.length === 0 && event.changedTouches.length > 0) {
+            this.handleClickSelection(event.changedTouches[0].clientX, event.changedTouches[0].clientY);
+        }
         if (this.isDragging) {
             // Re-enable orbit controls
             this.enableOrbitControls();
             
+            this.endTransformRecord();
             this.isDragging = false;
             this.selectedObject = null;
-            this.lastDragPoint = null;
+            this.dragStartPoint = null;
+            this.dragSession = null;
             
             // Stop propagation
             event.stopPropagation();
@@ -255,6 +331,31 @@ export class InteractionManager {
         }
     }
     
+    // A click or tap that didn't move selects the part under the pointer
+    // for the transform gizmo; one on empty space clears the selection
+    handleClickSelection(clientX, clientY) {
+        if (!this.pressPosition) return;
+        const moved = Math.hypot(clientX - this.pressPosition.x, clientY - this.pressPosition.y);
+        this.pressPosition = null;
+        if (moved <= CLICK_TOLERANCE && this.transformGizmo) {
+            this.transformGizmo.select(this.pressedObject);
+        }
+    }
+    
+    // Remember the selected object's transform so the whole drag can be
+    // undone in one step
+    beginTransformRecord() {
+        this.transformStart = captureTransforms([this.selectedObject]);
+        this.transformLabel = 'Move Part';
+    }
+    
+    endTransformRecord() {
+        if (this.transformStart && window.app && window.app.history) {
+            window.app.history.pushTransforms(this.transformLabel, this.transformStart);
+        }
+        this.transformStart = null;
+    }
+    
     disableOrbitControls() {
         // Completely disable our orbit controls instance
         if (this.orbitControls) {
@@ -308,46 +409,71 @@ export class InteractionManager {
         // Create a raycaster
         this.raycaster.setFromCamera(this.mouse, this.camera);
         
-        // Create a plane parallel to the camera
-        const planeNormal = new THREE.Vector3(0, 0, 1).applyQuaternion(this.camera.quaternion);
-        const plane = new THREE.Plane().setFromNormalAndCoplanarPoint(
-            planeNormal,
-            this.selectedObject.position
-        );
+        // Start over from the current position when an axis key is pressed
+        // or released mid-drag, as the drag plane changes with the axis
+        const axis = this.dragConstraints.getActiveAxis();
+        if (this.dragSession && this.dragAxis !== axis) {
+            this.dragSession = null;
+            this.dragStartPoint = null;
+        }
+        if (!this.dragSession) {
+            this.beginDragSession();
+            this.dragAxis = axis;
+        }
+        
+        // Plane through the part's starting point, facing the camera and
+        // containing the locked axis if there is one
+        const parent = this.selectedObject.parent;
+        const startWorldPosition = parent.localToWorld(this.dragSession.start.clone());
+        const plane = this.dragConstraints.getDragPlane(this.camera, startWorldPosition, parent);
         
         // Calculate intersection
         const intersectionPoint = new THREE.Vector3();
         const rayIntersectsPlane = this.raycaster.ray.intersectPlane(plane, intersectionPoint);
         
         if (rayIntersectsPlane) {
-            if (!this.lastDragPoint) {
+            if (!this.dragStartPoint) {
                 // First intersection - just store the point
-                this.lastDragPoint = intersectionPoint.clone();
+                this.dragStartPoint = intersectionPoint.clone();
             } else {
-                // Calculate delta movement
-                const dragDelta = new THREE.Vector3().subVectors(intersectionPoint, this.lastDragPoint);
-                this.selectedObject.position.add(dragDelta);
-                
-                // Preserve original scale
-                if (this.selectedObject.userData.originalScale) {
-                    this.selectedObject.scale.copy(this.selectedObject.userData.originalScale);
-                }
-                
-                // Emit model transform event if we're host
-                if (window.app && window.app.isHost && window.app.socket) {
-                    window.app.socket.emit('model-transform', {
-                        customId: this.selectedObject.name,
-                        position: this.selectedObject.position.toArray(),
-                        rotation: this.selectedObject.rotation.toArray(),
-                        scale: this.selectedObject.scale.toArray()
-                    });
-                }
-                
-                // Update last drag point
-                this.lastDragPoint.copy(intersectionPoint);
+                // Move by the pointer's travel since the drag started, so
+                // snapping works on the whole movement
+                const dragDelta = new THREE.Vector3().subVectors(intersectionPoint, this.dragStartPoint);
+                this.moveSelectedObject(startWorldPosition.add(dragDelta));
             }
         }
     }
+    
+    beginDragSession() {
+        const floor = window.app ? window.app.floor : null;
+        this.dragSession = this.dragConstraints.beginDrag(this.selectedObject, this.draggableObjects, floor);
+        if (this.dragSession.collisions) this.contactHighlight.clear();
+    }
+    
+    // Move the selected part towards a world position, within the axis
+    // lock, snapping and collision settings
+    moveSelectedObject(targetWorldPosition) {
+        const target = this.selectedObject.parent.worldToLocal(targetWorldPosition);
+        this.selectedObject.position.copy(this.dragSession.constrain(target, this.camera));
+        if (this.dragSession.collisions) {
+            this.contactHighlight.show(this.dragSession.collisions.contact);
+        }
+        
+        // Preserve original scale
+        if (this.selectedObject.userData.originalScale) {
+            this.selectedObject.scale.copy(this.selectedObject.userData.originalScale);
+        }
+        
+        // Emit model transform event if we're host
+        if (window.app && window.app.isHost && window.app.socket) {
+            window.app.socket.emit('model-transform', {
+                customId: this.selectedObject.name,
+                position: this.selectedObject.position.toArray(),
+                rotation: this.selectedObject.rotation.toArray(),
+                scale: this.selectedObject.scale.toArray()
+            });
+        }
+    }
 
     setupXRControllers() {
         if (!this.renderer) return;
@@ -417,9 +543,11 @@ export class InteractionManager {
         const allIntersects = [];
         this.raycaster.intersectObjects(this.scene.children, true, allIntersects);
         
-        if (allIntersects.length > 0) {
+        // Hidden and ghosted parts are looked through
+        const hit = allIntersects.find(intersect => isPickable(intersect.object));
+        if (hit) {
             // Find the top-level draggable parent of the intersected object
-            let object = allIntersects[0].object;
+            let object = hit.object;
             let topLevelDraggable = null;
             
             // Traverse up the parent hierarchy
@@ -437,18 +565,29 @@ export class InteractionManager {
                 console.log("Selected object:", topLevelDraggable.name || topLevelDraggable.uuid);
                 this.selectedObject = topLevelDraggable;
                 this.activeController = controller;
-                this.lastControllerPosition.setFromMatrixPosition(controller.matrixWorld);
+                this.beginControllerDrag();
+                this.beginTransformRecord();
             }
         }
     }
     
     onControllerSelectEnd() {
         console.log("Controller select end");
+        this.endTransformRecord();
         this.selectedObject = null;
         this.activeController = null;
+        this.dragSession = null;
         this.rotationMode = false; // End any active rotation.
     }
 
+    // Measure controller movement from here; also used to pick up again
+    // after a rotation or an axis change
+    beginControllerDrag() {
+        this.controllerStartPosition.setFromMatrixPosition(this.activeController.matrixWorld);
+        this.beginDragSession();
+        this.dragAxis = this.dragConstraints.getActiveAxis();
+    }
+
     // Rotation event handlers.
     onControllerSqueezeStart(event) {
         const controller = event.target;
@@ -456,6 +595,7 @@ export class InteractionManager {
         // Only enable rotation mode if an object is already selected.
         if (this.selectedObject) {
             this.rotationMode = true;
+            this.transformLabel = 'Move and Rotate Part';
             // Save the starting orientations.
             this.startControllerQuaternion.copy(controller.quaternion);
             this.startObjectQuaternion.copy(this.selectedObject.quaternion);
@@ -464,6 +604,10 @@ export class InteractionManager {
 
     onControllerSqueezeEnd(event) {
         console.log("Squeeze end");
+        // The controller moved while rotating, so translation starts afresh
+        if (this.rotationMode && this.selectedObject && this.activeController) {
+            this.beginControllerDrag();
+        }
         this.rotationMode = false;
     }
 
@@ -477,6 +621,11 @@ export class InteractionManager {
         this.draggableObjects = objects;
     }
 
+    // Method to set the gizmo that clicked parts are attached to
+    setTransformGizmo(gizmo) {
+        this.transformGizmo = gizmo;
+    }
+
     update() {
         if (this.selectedObject && this.activeController && this.isXRSessionActive) {
             if (this.rotationMode) {
@@ -487,21 +636,30 @@ export class InteractionManager {
                 const newObjectQuaternion = deltaQuaternion.multiply(this.startObjectQuaternion);
                 this.selectedObject.quaternion.copy(newObjectQuaternion);
             } else {
-                // Update position by computing difference between current and last controller positions.
+                if (this.dragAxis !== this.dragConstraints.getActiveAxis()) {
+                    this.beginControllerDrag();
+                }
+                // Update position by computing difference between current and starting controller positions.
                 const currentPosition = new THREE.Vector3();
                 currentPosition.setFromMatrixPosition(this.activeController.matrixWorld);
-                let delta = new THREE.Vector3().subVectors(currentPosition, this.lastControllerPosition);
+                let delta = new THREE.Vector3().subVectors(currentPosition, this.controllerStartPosition);
                 
                 // Optionally increase sensitivity on mobile devices.
                 if (navigator.userAgent.match(/Mobi/)) {
                     delta.multiplyScalar(2.0);
                 }
                 
-                this.selectedObject.position.add(delta);
-                this.lastControllerPosition.copy(currentPosition);
+                const startWorldPosition = this.selectedObject.parent.localToWorld(this.dragSession.start.clone());
+                this.moveSelectedObject(startWorldPosition.add(delta));
             }
         }
         
+        if (this.dragConstraints.collisions) {
+            this.contactHighlight.update();
+        } else {
+            this.contactHighlight.clear();
+        }
+        
         // Ensure orbit controls are updated when not in XR session.
         if (this.orbitControls && !this.isXRSessionActive) {
             this.orbitControls.update();
@@ -3,10 +3,31 @@ import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
 import { ARButton } from 'three/addons/webxr/ARButton.js';
 import { RGBELoader } from 'three/addons/loaders/RGBELoader.js';
 import { XRControllerModelFactory } from 'three/addons/webxr/XRControllerModelFactory.js';
-import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
 import { InteractionManager } from './InteractionManager.js';
 import { setupUIControls } from './uiControls.js';
-import { showConfirmationModal } from './modalManager.js';
+import { showConfirmationModal, showAlertModal, showFormModal, showProgressModal } from './modalManager.js';
+import { createModelLoaders, loadModelObject, detectModelFormat, getFormatFromFileName, getUnsupportedExtensions, describeModelLoadError } from './modelLoaders.js';
+import { groupModelFiles, createResourceURLModifier, expandArchives } from './fileImport.js';
+import { setupDropZone } from './dropZone.js';
+import { createUploadLibraryPanel } from './uploadLibrary.js';
+import { ensureStorageSpace, requestPersistentStorage } from './storageManager.js';
+import { loadCatalog, applyColorway, UNIT_SCALES } from './catalog.js';
+import { createCatalogPanel } from './catalogPanel.js';
+import { renderThumbnail } from './thumbnails.js';
+import { parseViewState, startViewStateSync } from './deepLink.js';
+import { createSession, parseSession } from './session.js';
+import { downloadBlob, getTimestampedFileName } from './downloads.js';
+import { exportGLB } from './glbExport.js';
+import { CAPTURE_SIZES, parseCaptureSize, captureImage } from './capture.js';
+import { VIDEO_SIZES, getSupportedVideoType, recordTurntable } from './turntable.js';
+import { renderSpinFrames, createSpinPackage } from './spinExport.js';
+import { ExplodeController, createExplodePanel } from './explodeView.js';
+import { AssemblyAnimation, createAnimationPanel, EASING_NAMES } from './assemblyAnimation.js';
+import { EditHistory, captureTransforms } from './editHistory.js';
+import { TransformGizmo, createTransformPanel } from './transformGizmo.js';
+import { createConstraintPanel } from './dragConstraints.js';
+import { analyzeInterference, createInterferencePanel } from './interference.js';
+import { SceneOutliner, createOutlinerPanel, isPickable } from './sceneOutliner.js';
 
 class App {
   constructor() {
@@ -34,6 +55,11 @@ class App {
     this.initialRotationY = 0;
     this.isSingleTouchRotating = false;
     this.arRotationControls = null;
+    // Product transform when a touch rotation started, for undo
+    this.touchRotationStart = null;
+
+    // Undo/redo for part moves, colour changes and opened models
+    this.history = new EditHistory();
     
     // Ensure FontAwesome is loaded
     this.ensureFontAwesomeLoaded();
@@ -45,10 +71,13 @@ class App {
     this.loadingManager = new THREE.LoadingManager(() => {});
     this.loadingManager.onProgress = (url, loaded, total) => {};
     
-    this.gltfLoader = new GLTFLoader(this.loadingManager);
     this.rgbeLoader = new RGBELoader(this.loadingManager);
 
     this.init();
+    // Loaders for glTF, STL, OBJ, PLY and 3MF. The glTF loader needs the
+    // renderer to configure KTX2 texture transcoding.
+    this.modelLoaders = createModelLoaders(this.loadingManager, this.renderer);
+    this.gltfLoader = this.modelLoaders.gltf;
     this.setupScene();
     this.setupLights();
     this.setupInitialControls();
@@ -57,35 +86,32 @@ class App {
     setupUIControls(this);
 
     // --- File Upload Handling ---
-    // The file input is created in uiControls.js.
-    const fileInput = document.querySelector('input[type="file"][accept=".glb,.gltf"]');
-    if (fileInput) {
-      fileInput.onchange = async (event) => {
-        // Show the loading overlay at the start of upload.
-        const loadingOverlay = document.getElementById('loading-overlay');
-        if (loadingOverlay) loadingOverlay.style.display = 'flex';
-  
-        const files = event.target.files;
-        if (!files || files.length === 0) {
-          if (loadingOverlay) loadingOverlay.style.display = 'none';
-          return;
-        }
-  
-        this.clearExistingModels();
-  
-        for (let file of files) {
-          // For front-end only version, we'll use URL.createObjectURL instead of server upload
-          try {
-            const modelUrl = URL.createObjectURL(file);
-            const name = file.name.replace('.glb', '').replace('.gltf', '');
-            await this.loadModel(modelUrl, name);
-          } catch (error) {
-            console.error("File loading error:", error);
-          }
-        }
-        if (loadingOverlay) loadingOverlay.style.display = 'none';
-      };
-    }
+    // The file and folder inputs are created in uiControls.js.
+    ['file-input', 'folder-input'].forEach(id => {
+      const input = document.getElementById(id);
+      if (input) {
+        input.onchange = async (event) => {
+          await this.loadFiles(event.target.files);
+          // Allow picking the same files again
+          input.value = '';
+        };
+      }
+    });
+
+    // Files and folders can also be dropped onto the canvas
+    setupDropZone(this);
+
+    // Explode slider, opened from the More menu
+    this.explodeController = new ExplodeController(this);
+    this.explodePanel = createExplodePanel(this.explodeController);
+    document.body.appendChild(this.explodePanel.element);
+
+    // Assembly animation timeline, also opened from the More menu
+    this.assemblyAnimation = new AssemblyAnimation(this);
+    this.animationPanel = createAnimationPanel(this.assemblyAnimation, {
+      editState: (index) => this.editAnimationState(index)
+    });
+    document.body.appendChild(this.animationPanel.element);
 
     // Create an InteractionManager instance.
     this.interactionManager = new InteractionManager(
@@ -98,6 +124,27 @@ class App {
     // Make app globally accessible for interactionManager
     window.app = this;
 
+    // Gizmo and numeric fields for the part selected by clicking
+    this.transformGizmo = new TransformGizmo(this);
+    this.transformPanel = createTransformPanel(this.transformGizmo);
+    document.body.appendChild(this.transformPanel.element);
+    this.interactionManager.setTransformGizmo(this.transformGizmo);
+
+    // Axis lock and snapping toolbar, opened from the More menu
+    this.constraintPanel = createConstraintPanel(this.interactionManager.dragConstraints);
+    document.body.appendChild(this.constraintPanel.element);
+
+    // Interference and clearance report, opened from the More menu
+    this.interferencePanel = createInterferencePanel(this, {
+      onAnalyze: () => this.runInterferenceAnalysis()
+    });
+    document.body.appendChild(this.interferencePanel.element);
+
+    // Tree of parts to hide, isolate and ghost them, opened from the More menu
+    this.sceneOutliner = new SceneOutliner(this);
+    this.outlinerPanel = createOutlinerPanel(this.sceneOutliner);
+    document.body.appendChild(this.outlinerPanel.element);
+
     // Listen for pointer movement
     window.addEventListener('pointermove', this.handlePointerMove.bind(this));
     
@@ -122,7 +169,14 @@ class App {
     });
   
     // Instead of directly loading the default product, show the landing overlay.
-    this.showLandingOverlay();
+    // A shared link reopens its view instead.
+    const linkedView = parseViewState(window.location.hash, window.location.search);
+    if (linkedView) {
+      this.openViewState(linkedView);
+    } else {
+      this.showLandingOverlay();
+    }
+    startViewStateSync(this);
 
     this.animate();
   }
@@ -182,11 +236,13 @@ class App {
   rotateModel(axis, angle) {
     if (!this.productGroup) return;
     
+    const before = captureTransforms([this.productGroup]);
     switch(axis.toLowerCase()) {
         case 'y':
             this.productGroup.rotation.y += angle;
             break;
     }
+    this.history.pushTransforms('Rotate Product', before);
   }
 
   // -----------------------------------------------------------------------------
@@ -224,11 +280,13 @@ class App {
     description.style.marginBottom = '20px';
     description.innerHTML = `
       <h3 style="margin:7px 0px">Explore 3D Models with Ease</h3>
-          <p> Click the "Browse" button to explore our demo models.</p>
-          <p> Click the "Open" button to load your GLB files.</p>
+          <p> Click the "Browse" button to explore our demo models or reopen your earlier uploads under "My Uploads".</p>
+          <p> Click the "Open" button to load GLB, glTF, STL, OBJ, PLY, 3MF or ZIP files, or "Folder" to open a glTF export folder.</p>
+          <p> You can also drop files and folders straight onto the viewer.</p>
 
       <h3 style="margin:7px 0px">Interactive Features:</h3>
-          <p>Drag components to reposition them as you wish.</p>
+          <p>Drag components to reposition them as you wish. Hold X, Y or Z while dragging to move along one axis.</p>
+          <p>Click a component to rotate or scale it with the gizmo (W, E, R) or type exact values.</p>
           <p>Drag the screen to rotate around the model.</p>
           <p>Click the "Color" button to modify any recognized materials.</p>
           <p>Click the "Reset" button to reset view and return all parts to their original positions.</p>
@@ -267,7 +325,7 @@ class App {
     uploadButton.style.width = '100px'
     uploadButton.addEventListener('click', () => {
       document.body.removeChild(overlay);
-      const fileInput = document.querySelector('input[type="file"][accept=".glb,.gltf"]');
+      const fileInput = document.getElementById('file-input');
       if (fileInput) {
         fileInput.click();
       }
@@ -285,14 +343,46 @@ class App {
   // -----------------------------------------------------------------------------
   // Handle File Storage in the Browser (using IndexedDB)
   // -----------------------------------------------------------------------------
+  // Opening the database is shared by every caller, so concurrent uploads
+  // and library reads all wait for the same connection.
+  //
+  // Version 2 keeps every save as a revision: the 'revisions' store has an
+  // auto-increment id and a 'name' index grouping the revisions of a model.
+  // Records of the version 1 'models' store become the first revisions.
+  // Version 3 adds the 'thumbnails' store caching generated catalog
+  // thumbnails by key; upload thumbnails live on their revision records.
   initIndexedDB() {
-    return new Promise((resolve, reject) => {
-      const request = indexedDB.open('3DModelViewer', 1);
+    if (this.dbPromise) return this.dbPromise;
+
+    this.dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open('3DModelViewer', 3);
       
       request.onupgradeneeded = (event) => {
         const db = event.target.result;
-        if (!db.objectStoreNames.contains('models')) {
-          db.createObjectStore('models', { keyPath: 'name' });
+        const upgradeTransaction = event.target.transaction;
+
+        if (!db.objectStoreNames.contains('revisions')) {
+          const revisions = db.createObjectStore('revisions', { keyPath: 'id', autoIncrement: true });
+          revisions.createIndex('name', 'name', { unique: false });
+        }
+
+        if (!db.objectStoreNames.contains('thumbnails')) {
+          db.createObjectStore('thumbnails', { keyPath: 'key' });
+        }
+
+        if (db.objectStoreNames.contains('models')) {
+          const revisions = upgradeTransaction.objectStore('revisions');
+          const cursorRequest = upgradeTransaction.objectStore('models').openCursor();
+          cursorRequest.onsuccess = () => {
+            const cursor = cursorRequest.result;
+            if (cursor) {
+              const { name, data, resources, format, date } = cursor.value;
+              revisions.add({ name, data, resources: resources || new Map(), format: format || 'glb', date });
+              cursor.continue();
+            } else {
+              db.deleteObjectStore('models');
+            }
+          };
         }
       };
       
@@ -303,105 +393,298 @@ class App {
       
       request.onerror = (event) => {
         console.error("IndexedDB error:", event.target.error);
+        // Allow a later call to retry
+        this.dbPromise = null;
         reject(event.target.error);
       };
     });
+    return this.dbPromise;
   }
 
-  saveModelToIndexedDB(name, fileBlob) {
+  // Read every revision of a model, oldest first
+  getRevisionRecords(store, name) {
     return new Promise((resolve, reject) => {
-      if (!this.db) {
-        reject(new Error("IndexedDB not initialized"));
-        return;
-      }
-      
-      const transaction = this.db.transaction(['models'], 'readwrite');
-      const store = transaction.objectStore('models');
-      const modelData = { name, data: fileBlob, date: new Date().toISOString() };
+      const request = store.index('name').getAll(name);
+      request.onsuccess = () => resolve(request.result.sort((a, b) => a.id - b.id));
+      request.onerror = (event) => reject(event.target.error);
+    });
+  }
+
+  // Each save adds a new timestamped revision under the model name
+  saveModelToIndexedDB(name, fileBlob, { resources = new Map(), format = 'glb' } = {}) {
+    return this.initIndexedDB().then(db => new Promise((resolve, reject) => {
+      const transaction = db.transaction(['revisions'], 'readwrite');
+      const store = transaction.objectStore('revisions');
+      const date = new Date().toISOString();
+      // lastOpened orders revisions for least-recently-used eviction
+      const modelData = { name, data: fileBlob, resources, format, date, lastOpened: date };
       
-      const request = store.put(modelData);
+      const request = store.add(modelData);
       
-      request.onsuccess = () => resolve();
+      request.onsuccess = () => resolve(request.result);
       request.onerror = (event) => reject(event.target.error);
-    });
+    }));
   }
 
-  getModelFromIndexedDB(name) {
-    return new Promise((resolve, reject) => {
-      if (!this.db) {
-        reject(new Error("IndexedDB not initialized"));
-        return;
+  // Resolves with a stored revision: { id, name, data, resources, format, date }.
+  // Without a revision id the latest revision is returned.
+  getModelFromIndexedDB(name, revisionId) {
+    return this.initIndexedDB().then(db => {
+      const store = db.transaction(['revisions'], 'readonly').objectStore('revisions');
+      return this.getRevisionRecords(store, name);
+    }).then(records => {
+      const record = revisionId === undefined
+        ? records[records.length - 1]
+        : records.find(item => item.id === revisionId);
+      if (!record) {
+        throw new Error("Model not found");
       }
-      
-      const transaction = this.db.transaction(['models'], 'readonly');
-      const store = transaction.objectStore('models');
-      const request = store.get(name);
+      return record;
+    });
+  }
+
+  // One entry per model, describing its latest revision
+  listModelsFromIndexedDB() {
+    return this.initIndexedDB().then(db => new Promise((resolve, reject) => {
+      const transaction = db.transaction(['revisions'], 'readonly');
+      const store = transaction.objectStore('revisions');
+      const request = store.getAll();
       
       request.onsuccess = () => {
-        if (request.result) {
-          resolve(request.result.data);
-        } else {
-          reject(new Error("Model not found"));
-        }
+        const models = new Map();
+        request.result.forEach(item => {
+          const existing = models.get(item.name);
+          const summary = {
+            name: item.name,
+            date: item.date,
+            format: item.format || 'glb',
+            size: this.getStoredModelSize(item),
+            revisionCount: existing ? existing.revisionCount + 1 : 1,
+            thumbnail: item.thumbnail || (existing && existing.thumbnail) || null
+          };
+          // Records come back in id order, so the last one is the latest
+          models.set(item.name, summary);
+        });
+        resolve(Array.from(models.values()));
       };
       
       request.onerror = (event) => reject(event.target.error);
-    });
+    }));
   }
 
-  listModelsFromIndexedDB() {
-    return new Promise((resolve, reject) => {
-      if (!this.db) {
-        reject(new Error("IndexedDB not initialized"));
-        return;
-      }
+  // Revisions of a model, newest first
+  listRevisionsFromIndexedDB(name) {
+    return this.initIndexedDB().then(db => {
+      const store = db.transaction(['revisions'], 'readonly').objectStore('revisions');
+      return this.getRevisionRecords(store, name);
+    }).then(records => records.reverse().map(item => ({
+      id: item.id,
+      date: item.date,
+      format: item.format || 'glb',
+      size: this.getStoredModelSize(item)
+    })));
+  }
+
+  // Size includes the external files of multi-file glTF uploads
+  getStoredModelSize(record) {
+    let size = record.data ? record.data.size : 0;
+    if (record.resources) {
+      record.resources.forEach(blob => { size += blob.size; });
+    }
+    return size;
+  }
+
+  // Rename every revision of a model
+  renameModelInIndexedDB(name, newName) {
+    return this.initIndexedDB().then(db => new Promise((resolve, reject) => {
+      const transaction = db.transaction(['revisions'], 'readwrite');
+      const store = transaction.objectStore('revisions');
       
-      const transaction = this.db.transaction(['models'], 'readonly');
-      const store = transaction.objectStore('models');
-      const request = store.getAll();
+      // Check the new name is free and move the revisions in one transaction
+      Promise.all([this.getRevisionRecords(store, newName), this.getRevisionRecords(store, name)])
+        .then(([existing, records]) => {
+          if (existing.length > 0) {
+            transaction.abort();
+            reject(new Error(`A model named "${newName}" already exists`));
+            return;
+          }
+          if (records.length === 0) {
+            transaction.abort();
+            reject(new Error("Model not found"));
+            return;
+          }
+          records.forEach(record => store.put({ ...record, name: newName }));
+        })
+        .catch(reject);
+      
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = (event) => reject(event.target.error);
+    }));
+  }
+
+  // Delete a model with all of its revisions
+  deleteModelFromIndexedDB(name) {
+    return this.initIndexedDB().then(db => new Promise((resolve, reject) => {
+      const transaction = db.transaction(['revisions'], 'readwrite');
+      const store = transaction.objectStore('revisions');
+      const request = store.index('name').getAllKeys(name);
+      
+      request.onsuccess = () => {
+        request.result.forEach(id => store.delete(id));
+      };
+      
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = (event) => reject(event.target.error);
+    }));
+  }
+
+  // Size and last use of every stored revision, for storage cleanup
+  listRevisionUsageFromIndexedDB() {
+    return this.initIndexedDB().then(db => new Promise((resolve, reject) => {
+      const request = db.transaction(['revisions'], 'readonly').objectStore('revisions').getAll();
       
       request.onsuccess = () => {
         resolve(request.result.map(item => ({
+          id: item.id,
           name: item.name,
-          date: item.date
+          size: this.getStoredModelSize(item),
+          lastOpened: item.lastOpened || item.date
         })));
       };
       
       request.onerror = (event) => reject(event.target.error);
-    });
+    }));
   }
 
-  deleteModelFromIndexedDB(name) {
-    return new Promise((resolve, reject) => {
-      if (!this.db) {
-        reject(new Error("IndexedDB not initialized"));
-        return;
-      }
+  // Record that a revision was opened from the library
+  touchRevisionInIndexedDB(revisionId) {
+    return this.initIndexedDB().then(db => new Promise((resolve, reject) => {
+      const transaction = db.transaction(['revisions'], 'readwrite');
+      const store = transaction.objectStore('revisions');
+      const request = store.get(revisionId);
+      
+      request.onsuccess = () => {
+        if (request.result) {
+          store.put({ ...request.result, lastOpened: new Date().toISOString() });
+        }
+      };
       
-      const transaction = this.db.transaction(['models'], 'readwrite');
-      const store = transaction.objectStore('models');
-      const request = store.delete(name);
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = (event) => reject(event.target.error);
+    }));
+  }
+
+  // Keep a rendered thumbnail with a stored revision
+  setRevisionThumbnailInIndexedDB(revisionId, thumbnail) {
+    return this.initIndexedDB().then(db => new Promise((resolve, reject) => {
+      const transaction = db.transaction(['revisions'], 'readwrite');
+      const store = transaction.objectStore('revisions');
+      const request = store.get(revisionId);
+      
+      request.onsuccess = () => {
+        if (request.result) {
+          store.put({ ...request.result, thumbnail });
+        }
+      };
+      
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = (event) => reject(event.target.error);
+    }));
+  }
+
+  // Cached thumbnail Blob for a key, or null
+  getThumbnailFromIndexedDB(key) {
+    return this.initIndexedDB().then(db => new Promise((resolve, reject) => {
+      const request = db.transaction(['thumbnails'], 'readonly').objectStore('thumbnails').get(key);
+      
+      request.onsuccess = () => resolve(request.result ? request.result.data : null);
+      request.onerror = (event) => reject(event.target.error);
+    }));
+  }
+
+  saveThumbnailToIndexedDB(key, data) {
+    return this.initIndexedDB().then(db => new Promise((resolve, reject) => {
+      const request = db.transaction(['thumbnails'], 'readwrite').objectStore('thumbnails').put({ key, data });
       
       request.onsuccess = () => resolve();
       request.onerror = (event) => reject(event.target.error);
-    });
+    }));
+  }
+
+  deleteRevisionFromIndexedDB(revisionId) {
+    return this.initIndexedDB().then(db => new Promise((resolve, reject) => {
+      const transaction = db.transaction(['revisions'], 'readwrite');
+      const request = transaction.objectStore('revisions').delete(revisionId);
+      
+      request.onsuccess = () => resolve();
+      request.onerror = (event) => reject(event.target.error);
+    }));
+  }
+
+  // Reopen uploads stored in IndexedDB without picking the files again.
+  // Each entry is { name, revisionId }; without an id the latest revision opens.
+  async loadStoredModels(entries) {
+    const loadingOverlay = document.getElementById('loading-overlay');
+    if (loadingOverlay) loadingOverlay.style.display = 'flex';
+
+    const cleared = this.clearExistingModels({ record: false });
+    const added = [];
+    try {
+      for (const { name, revisionId } of entries) {
+        try {
+          const record = await this.getModelFromIndexedDB(name, revisionId);
+          this.touchRevisionInIndexedDB(record.id)
+            .catch(error => console.error("Error updating stored model:", error));
+          const modelUrl = URL.createObjectURL(record.data);
+          const container = await this.loadModel(modelUrl, record.name, {
+            resources: record.resources,
+            format: record.format,
+            save: false,
+            source: { upload: record.name, revisionId: record.id },
+            record: false
+          }).finally(() => URL.revokeObjectURL(modelUrl));
+          added.push(container);
+          // Uploads kept before thumbnails existed get one now
+          if (!record.thumbnail) {
+            renderThumbnail(this, [container])
+              .then(thumbnail => thumbnail && this.setRevisionThumbnailInIndexedDB(record.id, thumbnail))
+              .catch(error => console.error("Error saving thumbnail:", error));
+          }
+        } catch (error) {
+          console.error(`Error opening stored model ${name}:`, error);
+        }
+      }
+    } finally {
+      // Recorded once loading is done, so edits made meanwhile stay their own steps
+      this.pushModelChange('Open Models', { added, ...cleared });
+    }
+
+    this.fitCameraToScene();
+    if (loadingOverlay) loadingOverlay.style.display = 'none';
   }
 
   // -----------------------------------------------------------------------------
   // Browser-Based File Browser (using IndexedDB)
   // -----------------------------------------------------------------------------
-  async showBrowseInterface() {
+  // `options.tab` opens the modal on 'catalog' (default) or 'uploads'
+  // `onClose` is called once the interface is closed, however that happens
+  async showBrowseInterface({ tab = 'catalog', onClose } = {}) {
     const loadingOverlay = document.getElementById('loading-overlay');
     if (loadingOverlay) loadingOverlay.style.display = 'flex';
     
     try {
-        // Add console.log to debug
-        console.log('Fetching files.json...');
-        const response = await fetch('./assets/files.json');
-        console.log('Response:', response);
-        const data = await response.json();
-        console.log('Data:', data);
-        const files = data.models;
+        // A broken catalog is reported in its tab so uploads stay reachable
+        let catalog = null;
+        let catalogError = null;
+        try {
+            catalog = await loadCatalog();
+            if (catalog.errors.length > 0) {
+                console.warn('Catalog entries skipped:', catalog.errors);
+            }
+        } catch (error) {
+            console.error("Error fetching models:", error);
+            catalogError = error;
+        }
         
         if (loadingOverlay) loadingOverlay.style.display = 'none';
 
@@ -430,42 +713,56 @@ class App {
         title.style.marginBottom = '10px';
         modalContainer.appendChild(title);
 
-        const description = document.createElement('p');
-        if (!files || files.length === 0) {
-            description.textContent = 'No models found.';
-        } else {
-            description.textContent = `Select models (multiple selections allowed): `;
-        }
-        modalContainer.appendChild(description);
-        
-        const fileList = document.createElement('div');
-        fileList.style.marginTop = '10px';
-        
-        if (files && files.length > 0) {
-            files.forEach(file => {
-                const div = document.createElement('div');
-                div.style.marginBottom = '10px';
-                div.style.padding = '5px';
-                div.style.borderRadius = '4px';
-                div.style.backgroundColor = '#f5f5f5';
-                
-                const checkbox = document.createElement('input');
-                checkbox.type = 'checkbox';
-                checkbox.value = file.url;
-                checkbox.id = file.name;
-                
-                const label = document.createElement('label');
-                label.htmlFor = file.name;
-                label.textContent = file.name;
-                label.style.marginLeft = '8px';
-                
-                div.appendChild(checkbox);
-                div.appendChild(label);
-                fileList.appendChild(div);
+        // Tabs for the demo catalog and the uploads kept in this browser
+        const tabsDiv = document.createElement('div');
+        tabsDiv.style.display = 'flex';
+        tabsDiv.style.gap = '8px';
+        tabsDiv.style.marginBottom = '10px';
+
+        const catalogPanel = document.createElement('div');
+        const uploadsPanel = createUploadLibraryPanel(this);
+        uploadsPanel.element.style.display = 'none';
+        let activeTab = 'catalog';
+
+        const tabButtons = {};
+        const selectTab = (tab) => {
+            activeTab = tab;
+            catalogPanel.style.display = tab === 'catalog' ? 'block' : 'none';
+            uploadsPanel.element.style.display = tab === 'uploads' ? 'block' : 'none';
+            Object.entries(tabButtons).forEach(([name, button]) => {
+                button.style.backgroundColor = name === tab ? '#d00024' : '#eeeeee';
+                button.style.color = name === tab ? 'white' : '#333';
             });
+        };
+        [['catalog', 'Catalog'], ['uploads', 'My Uploads']].forEach(([tab, text]) => {
+            const tabButton = document.createElement('button');
+            tabButton.textContent = text;
+            tabButton.style.border = 'none';
+            tabButton.style.borderRadius = '9999px';
+            tabButton.style.padding = '6px 16px';
+            tabButton.style.cursor = 'pointer';
+            tabButton.addEventListener('click', () => selectTab(tab));
+            tabButtons[tab] = tabButton;
+            tabsDiv.appendChild(tabButton);
+        });
+        modalContainer.appendChild(tabsDiv);
+
+        // Enter on a ticked card loads the selection like the button does
+        const catalogContent = createCatalogPanel(catalog, {
+            onSubmit: () => loadButton.click(),
+            getThumbnail: (product) => this.getCatalogThumbnail(product)
+        });
+        if (catalogError) {
+            const errorText = document.createElement('p');
+            errorText.textContent = `The catalog could not be loaded: ${catalogError.message}`;
+            errorText.style.color = '#d00024';
+            catalogPanel.appendChild(errorText);
+        } else {
+            catalogPanel.appendChild(catalogContent.element);
         }
-        
-        modalContainer.appendChild(fileList);
+        modalContainer.appendChild(catalogPanel);
+        modalContainer.appendChild(uploadsPanel.element);
+        selectTab(tab);
         
         const buttonsDiv = document.createElement('div');
         buttonsDiv.style.marginTop = '20px';
@@ -500,45 +797,472 @@ class App {
         modalContainer.appendChild(buttonsDiv);
         modalOverlay.appendChild(modalContainer);
         document.body.appendChild(modalOverlay);
+        if (activeTab === 'catalog' && !catalogError) catalogContent.focus();
+
+        const closeInterface = () => {
+            document.body.removeChild(modalOverlay);
+            if (onClose) onClose();
+        };
+
+        modalOverlay.addEventListener('keydown', (event) => {
+            // Escape in a non-empty search box only clears the search
+            if (event.key !== 'Escape' || (event.target.type === 'search' && event.target.value)) return;
+            cancelButton.click();
+        });
         
         loadButton.addEventListener('click', async () => {
-            const selected = [];
-            fileList.querySelectorAll('input[type="checkbox"]:checked').forEach(cb => {
-                selected.push({ url: cb.value, name: cb.id });
-            });
-            
-            if(selected.length > 0) {
-                document.body.removeChild(modalOverlay);
-                
-                if (loadingOverlay) loadingOverlay.style.display = 'flex';
-                
-                this.clearExistingModels();
-                
-                for(const file of selected) {
-                    console.log('Loading model:', file.url);
-                    await this.loadModel(file.url, file.name.replace('.glb', '').replace('.gltf', ''));
+            if (activeTab === 'uploads') {
+                const entries = uploadsPanel.getSelectedModels();
+                closeInterface();
+                if (entries.length > 0) {
+                    await this.loadStoredModels(entries);
                 }
-                
-                this.fitCameraToScene();
-                
-                if (loadingOverlay) loadingOverlay.style.display = 'none';
-            } else {
-                document.body.removeChild(modalOverlay);
+                return;
+            }
+
+            const selected = catalogContent.getSelectedProducts();
+            closeInterface();
+            if (selected.length > 0) {
+                await this.loadCatalogProducts(selected);
             }
         });
         
-        cancelButton.addEventListener('click', () => {
-            document.body.removeChild(modalOverlay);
-        });
+        cancelButton.addEventListener('click', closeInterface);
         
     } catch (error) {
         if (loadingOverlay) loadingOverlay.style.display = 'none';
+        if (onClose) onClose();
         console.error("Error fetching models:", error);
         console.log("Full error details:", error);
         alert("Error accessing models. Please check the console for details.");
     }
   }
 
+  // Load catalog products, each part as its own draggable container.
+  // Entries are { product, colorway } as returned by the catalog panel.
+  async loadCatalogProducts(selected) {
+    const loadingOverlay = document.getElementById('loading-overlay');
+    if (loadingOverlay) loadingOverlay.style.display = 'flex';
+    
+    const cleared = this.clearExistingModels({ record: false });
+    const added = [];
+    try {
+        for (const { product, colorway } of selected) {
+            const containers = [];
+            for (const part of product.parts) {
+                console.log('Loading model:', part.url);
+                try {
+                    containers.push(await this.loadModel(part.url, part.name, { units: product.units, record: false }));
+                } catch (error) {
+                    console.error("Model loading error:", error);
+                }
+            }
+            added.push(...containers);
+            applyColorway(containers, colorway);
+            if (product.animation) {
+                this.assemblyAnimation.load(product.animation);
+                this.animationPanel.show();
+            }
+        }
+    } finally {
+        // Recorded once loading is done, so edits made meanwhile stay their own steps
+        this.pushModelChange('Open Products', { added, ...cleared });
+    }
+    
+    this.fitCameraToScene();
+    
+    if (loadingOverlay) loadingOverlay.style.display = 'none';
+  }
+
+  // Reopen the view described by a link: the models with their layout and
+  // colours, then the camera. Models that can't be opened are reported.
+  async openViewState(state) {
+    const loadingOverlay = document.getElementById('loading-overlay');
+    if (loadingOverlay) loadingOverlay.style.display = 'flex';
+
+    // Keep the link as it is until the whole view is back
+    this.isRestoringView = true;
+    const cleared = this.clearExistingModels({ record: false });
+    const added = [];
+
+    const missing = [];
+    for (const model of state.models) {
+      try {
+        let container;
+        if (model.upload) {
+          // Fall back to the latest revision if the linked one was removed
+          const record = await this.getModelFromIndexedDB(model.upload, model.revisionId)
+            .catch(() => this.getModelFromIndexedDB(model.upload));
+          const modelUrl = URL.createObjectURL(record.data);
+          container = await this.loadModel(modelUrl, model.name, {
+            resources: record.resources,
+            format: record.format,
+            save: false,
+            source: { upload: record.name, revisionId: record.id },
+            record: false
+          }).finally(() => URL.revokeObjectURL(modelUrl));
+        } else {
+          container = await this.loadModel(model.url, model.name, { format: model.format, units: model.units, record: false });
+        }
+        added.push(container);
+
+        if (model.position) container.position.fromArray(model.position);
+        if (model.quaternion) container.quaternion.fromArray(model.quaternion).normalize();
+        if (model.scale) container.scale.fromArray(model.scale);
+        if (model.colors) applyColorway([container], { materials: model.colors });
+      } catch (error) {
+        console.error(`Error opening linked model ${model.name}:`, error);
+        missing.push(model.name);
+      }
+    }
+
+    if (state.animation) {
+      this.assemblyAnimation.load(state.animation);
+    }
+    // Recorded once loading is done, so edits made meanwhile stay their own steps
+    this.pushModelChange('Open View', { added, ...cleared });
+
+    if (state.camera) {
+      this.camera.position.fromArray(state.camera.position);
+      this.orbitControls.target.fromArray(state.camera.target);
+      this.orbitControls.update();
+    } else {
+      this.fitCameraToScene();
+    }
+
+    this.isRestoringView = false;
+    if (loadingOverlay) loadingOverlay.style.display = 'none';
+
+    if (this.loadedModels.size === 0) {
+      this.showLandingOverlay();
+    }
+    if (missing.length > 0) {
+      showAlertModal(
+        'Some Models Could Not Be Opened',
+        `${missing.join(', ')} could not be opened from this link. Uploaded models are only available in the browser they were uploaded to.`
+      );
+    }
+  }
+
+  // Download the current models, layout, colours and camera as a session file
+  saveSession() {
+    const session = createSession(this);
+    if (session.models.length === 0) {
+      showAlertModal('Nothing to Save', 'Open a model from the catalog or a kept upload before saving a session.');
+      return;
+    }
+    const blob = new Blob([JSON.stringify(session, null, 2)], { type: 'application/json' });
+    downloadBlob(blob, getTimestampedFileName('session', 'json'));
+  }
+
+  async openSessionFile(file) {
+    let state;
+    try {
+      state = parseSession(JSON.parse(await file.text()));
+    } catch (error) {
+      console.error("Error reading session:", error);
+      showAlertModal('Unable to Load Session', `${file.name}: ${error.message}`);
+      return;
+    }
+    await this.openViewState(state);
+  }
+
+  // Export the whole product or chosen parts as GLB, with their current
+  // positions and colours
+  async exportSceneAsGLB() {
+    const names = Array.from(this.loadedModels.keys());
+    if (names.length === 0) {
+      showAlertModal('Nothing to Export', 'Open a model before exporting.');
+      return;
+    }
+
+    const options = await showFormModal({
+      title: 'Export GLB',
+      fields: [{ name: 'parts', label: 'Parts to export', type: 'checkboxList', options: names }],
+      submitText: 'Export'
+    });
+    if (!options) return;
+    if (options.parts.length === 0) {
+      showAlertModal('Nothing to Export', 'Select at least one part to export.');
+      return;
+    }
+
+    const loadingOverlay = document.getElementById('loading-overlay');
+    if (loadingOverlay) loadingOverlay.style.display = 'flex';
+    try {
+      const containers = options.parts.map(name => this.loadedModels.get(name));
+      const name = containers.length === 1 ? containers[0].name : 'Product';
+      const blob = await exportGLB(containers, { name });
+      downloadBlob(blob, getTimestampedFileName(name.replace(/[^\w-]+/g, '-'), 'glb'));
+    } catch (error) {
+      console.error("Error exporting GLB:", error);
+      showAlertModal('Export Failed', `The GLB could not be created: ${error.message}`);
+    } finally {
+      if (loadingOverlay) loadingOverlay.style.display = 'none';
+    }
+  }
+
+  // Render the current view to a PNG at a chosen size, independent of the
+  // window, optionally without the background
+  async captureStillImage() {
+    if (this.renderer.xr.isPresenting) {
+      showAlertModal('Capture Unavailable', 'Leave AR before capturing an image.');
+      return;
+    }
+
+    const options = await showFormModal({
+      title: 'Capture Image',
+      fields: [
+        { name: 'size', label: 'Resolution', type: 'select', options: CAPTURE_SIZES, value: '3840x2160' },
+        { name: 'transparent', label: 'Transparent background', type: 'checkbox', value: false }
+      ],
+      submitText: 'Capture'
+    });
+    if (!options) return;
+
+    try {
+      const blob = await captureImage(this, { ...parseCaptureSize(options.size), transparent: options.transparent });
+      downloadBlob(blob, getTimestampedFileName('capture', 'png'));
+    } catch (error) {
+      console.error("Error capturing image:", error);
+      showAlertModal('Capture Failed', `The image could not be created: ${error.message}`);
+    }
+  }
+
+  // Record the product turning through 360° to a WebM download
+  async recordTurntableVideo() {
+    if (this.loadedModels.size === 0) {
+      showAlertModal('Nothing to Record', 'Open a model before recording.');
+      return;
+    }
+    if (this.renderer.xr.isPresenting) {
+      showAlertModal('Recording Unavailable', 'Leave AR before recording.');
+      return;
+    }
+    if (!getSupportedVideoType()) {
+      showAlertModal('Recording Unavailable', 'This browser cannot record WebM video.');
+      return;
+    }
+
+    const options = await showFormModal({
+      title: 'Record Turntable',
+      fields: [
+        { name: 'mode', label: 'Motion', type: 'select', value: 'orbit',
+          options: [['orbit', 'Orbit the camera'], ['rotate', 'Rotate the product']] },
+        { name: 'size', label: 'Resolution', type: 'select', options: VIDEO_SIZES, value: '1920x1080' },
+        { name: 'background', label: 'Background', type: 'select', value: 'scene',
+          options: [['scene', 'Studio grey'], ['white', 'White'], ['transparent', 'Transparent']] },
+        { name: 'secondsPerTurn', label: 'Seconds per turn', type: 'number', value: 8, min: 2, max: 120, step: 1 },
+        { name: 'duration', label: 'Duration (seconds)', type: 'number', value: 8, min: 1, max: 120, step: 1 },
+        { name: 'fps', label: 'Frame rate', type: 'select', value: '30', options: [['30', '30 fps'], ['60', '60 fps']] }
+      ],
+      submitText: 'Record'
+    });
+    if (!options) return;
+
+    const abortController = new AbortController();
+    const progress = showProgressModal('Recording Turntable', () => abortController.abort());
+    try {
+      const blob = await recordTurntable(this, {
+        ...parseCaptureSize(options.size),
+        mode: options.mode,
+        transparent: options.background === 'transparent',
+        background: options.background === 'white' ? 0xffffff : null,
+        secondsPerTurn: options.secondsPerTurn,
+        duration: options.duration,
+        fps: Number(options.fps),
+        onProgress: (fraction) => progress.setProgress(fraction),
+        signal: abortController.signal
+      });
+      downloadBlob(blob, getTimestampedFileName('turntable', 'webm'));
+    } catch (error) {
+      if (error.name !== 'AbortError') {
+        console.error("Error recording turntable:", error);
+        showAlertModal('Recording Failed', `The video could not be recorded: ${error.message}`);
+      }
+    } finally {
+      progress.close();
+    }
+  }
+
+  // Export views all around the product as a ZIP for image-based 360° spinners
+  async exportSpinSequence() {
+    if (this.loadedModels.size === 0) {
+      showAlertModal('Nothing to Export', 'Open a model before exporting.');
+      return;
+    }
+    if (this.renderer.xr.isPresenting) {
+      showAlertModal('Export Unavailable', 'Leave AR before exporting.');
+      return;
+    }
+
+    const options = await showFormModal({
+      title: 'Export 360° Images',
+      fields: [
+        { name: 'frameCount', label: 'Views', type: 'select', value: '36',
+          options: [['24', '24 views (15°)'], ['36', '36 views (10°)'], ['72', '72 views (5°)']] },
+        { name: 'size', label: 'Image size', type: 'select', value: '1024x1024',
+          options: [['512x512', '512 × 512'], ['1024x1024', '1024 × 1024'], ['2048x2048', '2048 × 2048'], ['1920x1080', '1920 × 1080']] },
+        { name: 'elevation', label: 'Camera elevation (degrees)', type: 'number', value: 25, min: -89, max: 89, step: 1 },
+        { name: 'background', label: 'Background', type: 'select', value: 'white',
+          options: [['white', 'White'], ['scene', 'Studio grey'], ['transparent', 'Transparent']] },
+        { name: 'spriteSheet', label: 'Include a sprite sheet', type: 'checkbox', value: true }
+      ],
+      submitText: 'Export'
+    });
+    if (!options) return;
+
+    const abortController = new AbortController();
+    const progress = showProgressModal('Rendering 360° Images', () => abortController.abort());
+    try {
+      const rendered = await renderSpinFrames(this, {
+        ...parseCaptureSize(options.size),
+        frameCount: Number(options.frameCount),
+        elevation: options.elevation,
+        transparent: options.background === 'transparent',
+        background: options.background === 'white' ? 0xffffff : null,
+        onProgress: (fraction) => progress.setProgress(fraction * 0.9),
+        signal: abortController.signal
+      });
+      progress.setProgress(0.9, 'Packaging…');
+      const zip = await createSpinPackage(rendered, {
+        elevation: options.elevation,
+        spriteSheet: options.spriteSheet
+      });
+      downloadBlob(zip, getTimestampedFileName('spin', 'zip'));
+    } catch (error) {
+      if (error.name !== 'AbortError') {
+        console.error("Error exporting 360° images:", error);
+        showAlertModal('Export Failed', `The images could not be created: ${error.message}`);
+      }
+    } finally {
+      progress.close();
+    }
+  }
+
+  // Check every pair of parts for overlaps and clearance. Resolves with the
+  // results for the interference panel, or null if cancelled or failed.
+  async runInterferenceAnalysis() {
+    if (this.loadedModels.size < 2) {
+      showAlertModal('Not Enough Parts', 'Open at least two parts to check how they fit.');
+      return null;
+    }
+
+    const abortController = new AbortController();
+    const progress = showProgressModal('Checking Interference', () => abortController.abort());
+    try {
+      return await analyzeInterference(Array.from(this.loadedModels.values()), {
+        onProgress: (fraction) => progress.setProgress(fraction),
+        signal: abortController.signal
+      });
+    } catch (error) {
+      if (error.name !== 'AbortError') {
+        console.error("Error checking interference:", error);
+        showAlertModal('Check Failed', `The parts could not be checked: ${error.message}`);
+      }
+      return null;
+    } finally {
+      progress.close();
+    }
+  }
+
+  // Edit the name and timing of an animation state, with a delay per part
+  async editAnimationState(index) {
+    const state = this.assemblyAnimation.states[index];
+    const parts = Object.keys(state.transforms);
+
+    const options = await showFormModal({
+      title: 'Animation State',
+      message: index === 0 ? 'The first state is the starting layout; its timing is not used.' : undefined,
+      fields: [
+        { name: 'name', label: 'Name', type: 'text', value: state.name },
+        { name: 'duration', label: 'Move duration (seconds)', type: 'number', value: state.duration, min: 0, max: 60, step: 0.1 },
+        { name: 'easing', label: 'Easing', type: 'select', value: state.easing, options: Object.entries(EASING_NAMES) },
+        { name: 'stagger', label: 'Delay between parts (seconds)', type: 'number', value: state.stagger, min: 0, max: 60, step: 0.1 },
+        ...parts.map((part, partIndex) => ({
+          name: `delay-${partIndex}`,
+          label: `Delay for ${part} (seconds, blank to follow the order)`,
+          type: 'number',
+          value: state.delays[part],
+          optional: true,
+          min: 0,
+          max: 60,
+          step: 0.1
+        }))
+      ],
+      submitText: 'Save'
+    });
+    if (!options) return;
+
+    const delays = {};
+    parts.forEach((part, partIndex) => {
+      const delay = options[`delay-${partIndex}`];
+      if (delay !== null) delays[part] = delay;
+    });
+    this.assemblyAnimation.updateState(index, {
+      name: options.name.trim() || state.name,
+      duration: options.duration,
+      easing: options.easing,
+      stagger: options.stagger,
+      delays
+    });
+  }
+
+  // Thumbnail for a catalog product without one in the manifest. It is
+  // rendered once from an off-screen copy of the product and cached in
+  // IndexedDB; a new revision date renders it again. Resolves with a Blob
+  // or null.
+  async getCatalogThumbnail(product) {
+    const key = `catalog:${product.id}@${product.revisionDate || ''}`;
+    const cached = await this.getThumbnailFromIndexedDB(key).catch(() => null);
+    if (cached) return cached;
+
+    // One product at a time so opening the catalog doesn't load them all at once
+    const task = (this.thumbnailQueue || Promise.resolve()).then(() => this.renderCatalogThumbnail(product));
+    this.thumbnailQueue = task.catch(() => null);
+
+    const thumbnail = await task;
+    if (thumbnail) {
+      this.saveThumbnailToIndexedDB(key, thumbnail)
+        .catch(error => console.error("Error caching thumbnail:", error));
+    }
+    return thumbnail;
+  }
+
+  // Load the parts of a product without adding them to the scene, in its
+  // default colorway, and render them together
+  async renderCatalogThumbnail(product) {
+    const objects = [];
+    try {
+      for (const part of product.parts) {
+        const format = getFormatFromFileName(part.url) || 'glb';
+        const { object } = await loadModelObject(this.modelLoaders, part.url, format);
+        if (product.units) {
+          object.scale.setScalar(UNIT_SCALES[product.units]);
+        }
+        object.traverse(node => {
+          if (node.isMesh) node.castShadow = true;
+        });
+        objects.push(object);
+      }
+      applyColorway(objects, product.colorways.find(colorway => colorway.name === product.defaultColorway));
+      return await renderThumbnail(this, objects);
+    } finally {
+      objects.forEach(object => object.traverse(node => {
+        if (node.geometry) node.geometry.dispose();
+        if (node.material) {
+          (Array.isArray(node.material) ? node.material : [node.material]).forEach(material => {
+            // Maps are not freed with their material
+            Object.values(material).forEach(value => {
+              if (value && value.isTexture) value.dispose();
+            });
+            material.dispose();
+          });
+        }
+      }));
+    }
+  }
+
   // -----------------------------------------------------------------------------
   // Pointer events 
   // -----------------------------------------------------------------------------
@@ -557,11 +1281,15 @@ class App {
             const dx = e.touches[1].clientX - e.touches[0].clientX;
             const dy = e.touches[1].clientY - e.touches[0].clientY;
             this.lastTouchAngle = Math.atan2(dy, dx);
+            this.beginTouchRotation();
         }
         return;
     }
     
     // AR mode specific touch handling
+    if (this.productGroup && (e.touches.length === 1 || e.touches.length === 2)) {
+        this.beginTouchRotation();
+    }
     if (e.touches.length === 1) {
         // Single touch - track for Y-axis rotation
         this.touchStartX = e.touches[0].clientX;
@@ -627,6 +1355,17 @@ class App {
     
     if (e.touches.length === 0) {
         this.isSingleTouchRotating = false;
+        // One undo step per gesture, however many fingers it used
+        if (this.touchRotationStart) {
+            this.history.pushTransforms('Rotate Product', this.touchRotationStart);
+            this.touchRotationStart = null;
+        }
+    }
+  }
+
+  beginTouchRotation() {
+    if (!this.touchRotationStart) {
+        this.touchRotationStart = captureTransforms([this.productGroup]);
     }
   }
 
@@ -812,15 +1551,77 @@ class App {
     }
   }
 
-  clearExistingModels() {
-    this.loadedModels.forEach(model => {
-      if (model.parent) {
-        this.productGroup.remove(model);
+  // Put a model container into the scene and make it draggable
+  addModelContainer(container) {
+    this.draggableObjects.push(container);
+    this.productGroup.add(container);
+    this.loadedModels.set(container.name, container);
+    this.updateDragControls();
+    if (this.interferencePanel) this.interferencePanel.reset();
+    if (this.sceneOutliner) this.sceneOutliner.refresh();
+  }
+
+  removeModelContainer(container) {
+    if (this.transformGizmo && this.transformGizmo.object === container) {
+      this.transformGizmo.select(null);
+    }
+    if (container.parent) {
+      this.productGroup.remove(container);
+    }
+    this.loadedModels.delete(container.name);
+    const index = this.draggableObjects.indexOf(container);
+    if (index !== -1) this.draggableObjects.splice(index, 1);
+    this.updateDragControls();
+    if (this.interferencePanel) this.interferencePanel.reset();
+    if (this.sceneOutliner) this.sceneOutliner.refresh();
+  }
+
+  // Record models added to or removed from the scene. The containers are
+  // kept, so undo puts back the same objects with their layout and colours.
+  // `before` is the explode and animation state from clearExistingModels
+  // when the change replaced the scene; undo puts that back too.
+  pushModelChange(label, { added = [], removed = [], before = null }) {
+    if (added.length === 0 && removed.length === 0) return;
+    const after = before && this.captureLayoutState();
+    this.history.push({
+      label,
+      undo: () => {
+        added.forEach(container => this.removeModelContainer(container));
+        removed.forEach(container => this.addModelContainer(container));
+        if (before) this.restoreLayoutState(before);
+      },
+      redo: () => {
+        removed.forEach(container => this.removeModelContainer(container));
+        added.forEach(container => this.addModelContainer(container));
+        if (after) this.restoreLayoutState(after);
       }
     });
-    this.loadedModels.clear();
-    this.draggableObjects.length = 0;
-    this.updateDragControls();
+  }
+
+  // The explode layout and animation states, which refer to the parts
+  captureLayoutState() {
+    return {
+      explode: this.explodeController ? this.explodeController.getState() : null,
+      animation: this.assemblyAnimation ? JSON.parse(JSON.stringify(this.assemblyAnimation.toJSON())) : null
+    };
+  }
+
+  restoreLayoutState({ explode, animation }) {
+    if (explode) this.explodeController.setState(explode);
+    if (animation) this.assemblyAnimation.load(animation);
+  }
+
+  // Remove every model, and the explode layout and animation that refer to
+  // them. Returns { removed, before } for pushModelChange; with `record`
+  // false the caller records the change, e.g. together with what it opens.
+  clearExistingModels({ record = true } = {}) {
+    const cleared = { removed: Array.from(this.loadedModels.values()), before: this.captureLayoutState() };
+    cleared.removed.forEach(container => this.removeModelContainer(container));
+    if (this.explodeController) this.explodeController.reset();
+    // Animation states refer to the parts by name
+    if (this.assemblyAnimation) this.assemblyAnimation.clear();
+    if (record) this.pushModelChange('Remove Models', cleared);
+    return cleared;
   }
 
   async loadDefaultProduct() {
@@ -845,10 +1646,14 @@ class App {
             const container = new THREE.Group();
             container.name = part.name;
             container.userData.isDraggable = true;
+            container.userData.source = { url: `assets/${part.file}`, format: 'glb' };
             container.add(model);
 
             container.raycast = function (raycaster, intersects) {
-              const box = new THREE.Box3().setFromObject(container);
+              const box = new THREE.Box3();
+              container.traverse(node => {
+                if (node.isMesh && isPickable(node)) box.expandByObject(node);
+              });
               if (!box.isEmpty()) {
                 const intersectionPoint = new THREE.Vector3();
                 if (raycaster.ray.intersectBox(box, intersectionPoint)) {
@@ -862,13 +1667,8 @@ class App {
               }
             };
 
-            this.draggableObjects.push(container);
-            this.productGroup.add(container);
-            this.loadedModels.set(part.name, container);
-            this.updateDragControls();
-            if (this.interactionManager) {
-              this.interactionManager.setDraggableObjects(Array.from(this.loadedModels.values()));
-            }
+            this.addModelContainer(container);
+            this.pushModelChange('Add Model', { added: [container] });
             this.fitCameraToScene();
             resolve();
           },
@@ -887,23 +1687,38 @@ class App {
 
   fitCameraToScene() {
     const box = new THREE.Box3().setFromObject(this.productGroup);
+    const offsetAngle = Math.PI / 4;
+    this.frameBox(box, new THREE.Vector3(Math.cos(offsetAngle), 0.5, Math.sin(offsetAngle)));
+  }
+
+  // Aim the camera at `object` from the current direction, at a distance
+  // where it fills the view the way fitCameraToScene frames the product
+  frameObject(object) {
+    if (this.renderer.xr.isPresenting) return;
+    const direction = this.camera.position.clone().sub(this.orbitControls.target).normalize();
+    if (direction.lengthSq() === 0) direction.set(1, 0.5, 1).normalize();
+    this.frameBox(new THREE.Box3().setFromObject(object), direction);
+  }
+
+  // Point the camera and both orbit controls at the centre of `box` from
+  // `offset` times the distance at which the box fills the view. Small
+  // boxes are kept far enough out that the near plane does not cut them.
+  frameBox(box, offset) {
+    if (box.isEmpty()) return;
     const center = box.getCenter(new THREE.Vector3());
     const size = box.getSize(new THREE.Vector3());
     const maxDim = Math.max(size.x, size.y, size.z);
     const fovRadians = this.camera.fov * (Math.PI / 180);
     let distance = Math.abs(maxDim / Math.tan(fovRadians / 2));
     distance *= 1.2;
-    
-    const offsetAngle = Math.PI / 4;
-    const xOffset = distance * Math.cos(offsetAngle);
-    const zOffset = distance * Math.sin(offsetAngle);
-    const yOffset = distance * 0.5;
-    
-    this.camera.position.set(center.x + xOffset, center.y + yOffset, center.z + zOffset);
+    const radius = size.length() / 2;
+    distance = Math.max(distance, (radius + this.camera.near * 3) / offset.length());
+
+    this.camera.position.copy(center).addScaledVector(offset, distance);
     this.orbitControls.target.copy(center);
     this.camera.updateProjectionMatrix();
     this.orbitControls.update();
-    
+
     // Also reset the InteractionManager's orbit controls if they exist
     if (this.interactionManager && this.interactionManager.orbitControls) {
         this.interactionManager.orbitControls.target.copy(center);
@@ -911,40 +1726,143 @@ class App {
     }
   }
 
-  async loadModel(url, name) {
+  // Load picked or dropped files. A .gltf is loaded together with the
+  // .bin and texture files picked alongside it, and .zip archives are
+  // unpacked so each model inside becomes its own part. With `replace`
+  // false the files are added to the models already in the scene.
+  async loadFiles(files, { paths, replace = true } = {}) {
+    const loadingOverlay = document.getElementById('loading-overlay');
+    if (!files || files.length === 0) return;
+
+    // Show the loading overlay at the start of upload.
+    if (loadingOverlay) loadingOverlay.style.display = 'flex';
+
+    const expanded = await expandArchives(files, paths);
+    const groups = groupModelFiles(expanded.files, expanded.paths);
+    if (groups.length === 0) {
+      if (loadingOverlay) loadingOverlay.style.display = 'none';
+      showAlertModal('No Models Found', 'Please select .glb, .gltf, .stl, .obj, .ply or .3mf files, or a .zip archive containing them.');
+      return;
+    }
+
+    const cleared = replace ? this.clearExistingModels({ record: false }) : {};
+    const added = [];
+    try {
+      for (const group of groups) {
+        // For front-end only version, we'll use URL.createObjectURL instead of server upload
+        const modelUrl = URL.createObjectURL(group.file);
+        try {
+          const format = await detectModelFormat(group.file, group.file.name);
+          added.push(await this.loadModel(modelUrl, group.name, {
+            resources: group.resources,
+            format,
+            blob: group.file,
+            record: false
+          }));
+        } catch (error) {
+          console.error("File loading error:", error);
+        } finally {
+          // The parsed model no longer needs the URL
+          URL.revokeObjectURL(modelUrl);
+        }
+      }
+    } finally {
+      // Recorded once loading is done, so edits made meanwhile stay their own steps
+      this.pushModelChange('Open Files', { added, ...cleared });
+    }
+    if (loadingOverlay) loadingOverlay.style.display = 'none';
+
+    // Report archive entries that were not loaded
+    if (expanded.skipped.length > 0) {
+      showAlertModal('Some Files Were Skipped', `These files are not supported models and were not loaded: ${expanded.skipped.join(', ')}`);
+    }
+  }
+
+  // Names key loadedModels, so add a suffix when a name is already in use
+  getUniqueModelName(name) {
+    let uniqueName = name;
+    let counter = 2;
+    while (this.loadedModels.has(uniqueName)) {
+      uniqueName = `${name} (${counter++})`;
+    }
+    return uniqueName;
+  }
+
+  // `options.resources` maps paths relative to the model file to the Blobs
+  // of its external .bin and texture files. `options.format` is one of
+  // MODEL_FORMATS; without it the format is taken from the URL. Uploads
+  // are kept in IndexedDB unless `options.save` is false. `options.units`
+  // (a UNIT_SCALES key) overrides the units the file is assumed to be in.
+  // `options.source` describes where a blob URL came from for view links.
+  // With `options.record` false the caller records the added model for undo.
+  // `options.blob` is the data behind a blob URL, to save without the URL.
+  async loadModel(url, name, options = {}) {
+    const resources = options.resources || new Map();
+    const format = options.format || getFormatFromFileName(url) || 'glb';
+
     return new Promise((resolve, reject) => {
-        // For file uploads, save to IndexedDB when loading
-        if (url.startsWith('blob:')) {
-            fetch(url)
-                .then(response => response.blob())
-                .then(blob => {
-                    // Initialize IndexedDB if needed and save the model
-                    if (!this.db) {
-                        this.initIndexedDB()
-                            .then(db => {
-                                this.saveModelToIndexedDB(name, blob);
-                            })
-                            .catch(error => console.error("Error initializing IndexedDB:", error));
-                    } else {
-                        this.saveModelToIndexedDB(name, blob);
-                    }
+        // For file uploads, save to IndexedDB when loading. Resolves with
+        // the new revision id, or null when the upload wasn't kept.
+        let savedRevision = Promise.resolve(null);
+        if (url.startsWith('blob:') && options.save !== false) {
+            // The caller may revoke the URL once loaded, so save the blob itself
+            const data = options.blob ? Promise.resolve(options.blob) : fetch(url).then(response => response.blob());
+            savedRevision = data
+                .then(async blob => {
+                    let size = blob.size;
+                    resources.forEach(resource => { size += resource.size; });
+                    if (!(await ensureStorageSpace(this, size))) return null;
+
+                    await requestPersistentStorage();
+                    return this.saveModelToIndexedDB(name, blob, { resources, format });
                 })
-                .catch(error => console.error("Error saving model to IndexedDB:", error));
+                .catch(error => {
+                    console.error("Error saving model to IndexedDB:", error);
+                    if (error && error.name === 'QuotaExceededError') {
+                        showAlertModal('Not Enough Storage', `${name} is open but could not be kept in My Uploads because local storage is full.`);
+                    }
+                    return null;
+                });
+        }
+
+        // Resolve relative .bin and texture URIs against the uploaded files
+        const resourceURLs = [];
+        if (resources.size > 0) {
+            const baseURL = THREE.LoaderUtils.extractUrlBase(url);
+            this.loadingManager.setURLModifier(createResourceURLModifier(baseURL, resources, resourceURLs));
         }
+        const releaseResources = () => {
+            if (resources.size > 0) {
+                this.loadingManager.setURLModifier(undefined);
+            }
+            resourceURLs.forEach(resourceURL => URL.revokeObjectURL(resourceURL));
+        };
         
-        this.gltfLoader.load(
-            url,
-            (gltf) => {
-                const model = gltf.scene;
+        loadModelObject(this.modelLoaders, url, format).then(
+            ({ object, gltf }) => {
+                releaseResources();
+                const model = object;
+                if (options.units) {
+                    model.scale.setScalar(UNIT_SCALES[options.units]);
+                }
                 // Set all meshes to cast shadows
                 model.traverse(node => {
                   if (node.isMesh) {
                     node.castShadow = true;
                   }
                 });
+                const modelName = this.getUniqueModelName(name);
                 const container = new THREE.Group();
-                container.name = name;
+                container.name = modelName;
                 container.userData.isDraggable = true;
+                // Where the model came from, for links to this view. A new
+                // upload only gets one once its revision is stored (below);
+                // one that wasn't kept can't be linked to.
+                if (options.source) {
+                    container.userData.source = options.source;
+                } else if (!url.startsWith('blob:')) {
+                    container.userData.source = { url, format, units: options.units };
+                }
                 container.add(model);
 
                 // Custom raycast implementation
@@ -955,7 +1873,8 @@ class App {
                     // Perform direct intersection test with actual meshes inside this container
                     this.children.forEach(child => {
                         child.traverse(object => {
-                            if (object.isMesh) {
+                            // Hidden and ghosted meshes are looked through
+                            if (object.isMesh && isPickable(object)) {
                                 // Store original visibility of matrix auto update
                                 const originalMatrixAutoUpdate = object.matrixAutoUpdate;
                                 // Temporarily enable matrix auto update to ensure correct world matrix
@@ -982,22 +1901,50 @@ class App {
                     }
                 };
 
-                this.draggableObjects.push(container);
-                this.productGroup.add(container);
-                this.loadedModels.set(name, container);
-                
-                // Only update InteractionManager
-                if (this.interactionManager) {
-                    this.interactionManager.setDraggableObjects(Array.from(this.loadedModels.values()));
+                this.addModelContainer(container);
+                if (options.record !== false) {
+                    this.pushModelChange('Add Model', { added: [container] });
                 }
                 
+                // Link to the stored revision, so a shared view opens the
+                // revision that was on screen rather than the latest
+                if (url.startsWith('blob:') && options.save !== false && !options.source) {
+                    savedRevision.then(revisionId => {
+                        if (revisionId) container.userData.source = { upload: name, revisionId };
+                    });
+                }
+
+                // Snapshot the model on its own for the upload library
+                if (url.startsWith('blob:') && options.save !== false) {
+                    Promise.all([savedRevision, renderThumbnail(this, [container])])
+                        .then(([revisionId, thumbnail]) => {
+                            if (revisionId && thumbnail) {
+                                return this.setRevisionThumbnailInIndexedDB(revisionId, thumbnail);
+                            }
+                        })
+                        .catch(error => console.error("Error saving thumbnail:", error));
+                }
+
                 this.fitCameraToScene();
-                console.log(`Loaded model: ${name}`);
+                console.log(`Loaded model: ${modelName}`);
+
+                // Warn when the file needs an extension we can't decode
+                const unsupported = gltf ? getUnsupportedExtensions(gltf) : [];
+                if (unsupported.length > 0) {
+                    showAlertModal(
+                        'Unsupported Extension',
+                        `${name} uses ${unsupported.join(', ')}, which this viewer cannot decode. Some parts may be missing or display incorrectly.`
+                    );
+                }
                 resolve(container);
             },
-            xhr => {},
             error => {
+                releaseResources();
                 console.error(`Error loading model ${name}:`, error);
+                const message = describeModelLoadError(error);
+                if (message) {
+                    showAlertModal('Unable to Open Model', `${name}: ${message}`);
+                }
                 reject(error);
             }
         );
@@ -1007,6 +1954,8 @@ class App {
   onARSessionStart() {
     console.log("AR session started - entering tap-to-place mode");
     this.isARMode = true;
+    // The gizmo only works with a mouse or touch screen
+    this.transformGizmo.select(null);
     this.isPlacingProduct = true;
     
     // Hide the productGroup until placement occurs
@@ -1233,6 +2182,21 @@ class App {
       if (this.interactionManager) {
         this.interactionManager.update();
       }
+      if (this.explodeController) {
+        this.explodeController.update();
+      }
+      if (this.assemblyAnimation) {
+        this.assemblyAnimation.update();
+      }
+      if (this.transformPanel) {
+        this.transformPanel.update();
+      }
+      if (this.interferencePanel) {
+        this.interferencePanel.update();
+      }
+      if (this.outlinerPanel) {
+        this.outlinerPanel.update();
+      }
       this.renderer.render(this.scene, this.camera);
     });
   }
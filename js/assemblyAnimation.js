@@ -0,0 +1,362 @@
+// assemblyAnimation.js
+//
+// Named layout states of the parts and animated transitions between them,
+// for assembly sequences. A state is stored as
+//
+//   {
+//     "name": "Lid off",
+//     "duration": 1.5,            // seconds each part takes to move
+//     "easing": "easeInOut",      // see EASINGS
+//     "stagger": 0.2,             // seconds between successive parts
+//     "delays": { "lid": 0.5 },   // optional per-part delays, overriding stagger
+//     "transforms": {
+//       "lid": { "position": [0, 0.2, 0], "quaternion": [0, 0, 0, 1], "scale": [1, 1, 1] }
+//     }
+//   }
+//
+// with parts keyed by their names in App.loadedModels. Playing runs from
+// the first state through each following one; the transition into a
+// state uses that state's timing.
+
+import * as THREE from 'three';
+import { createPanel, createPanelHeader, createIconButton, createPrimaryButton } from './panelManager.js';
+
+export const EASINGS = {
+  linear: t => t,
+  easeIn: t => t * t * t,
+  easeOut: t => 1 - Math.pow(1 - t, 3),
+  easeInOut: t => (t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2)
+};
+
+export const EASING_NAMES = {
+  linear: 'Linear',
+  easeIn: 'Ease in',
+  easeOut: 'Ease out',
+  easeInOut: 'Ease in and out'
+};
+
+const MAX_STATES = 50;
+const MAX_SECONDS = 60;
+const DEFAULT_TIMING = { duration: 1.5, easing: 'easeInOut', stagger: 0.2 };
+
+function isNumberArray(value, length) {
+  return Array.isArray(value) && value.length === length
+    && value.every(item => typeof item === 'number' && Number.isFinite(item));
+}
+
+function isSeconds(value) {
+  return typeof value === 'number' && Number.isFinite(value) && value >= 0 && value <= MAX_SECONDS;
+}
+
+function sanitizeState(state, index) {
+  if (!state || typeof state !== 'object' || !state.transforms || typeof state.transforms !== 'object') return null;
+
+  const transforms = {};
+  Object.entries(state.transforms).forEach(([part, transform]) => {
+    if (!transform || !isNumberArray(transform.position, 3) || !isNumberArray(transform.quaternion, 4)
+        || !isNumberArray(transform.scale, 3)) return;
+    transforms[part] = { position: transform.position, quaternion: transform.quaternion, scale: transform.scale };
+  });
+  if (Object.keys(transforms).length === 0) return null;
+
+  const delays = {};
+  if (state.delays && typeof state.delays === 'object') {
+    Object.entries(state.delays).forEach(([part, delay]) => {
+      if (isSeconds(delay)) delays[part] = delay;
+    });
+  }
+
+  return {
+    name: typeof state.name === 'string' && state.name.trim() ? state.name : `State ${index + 1}`,
+    duration: isSeconds(state.duration) ? state.duration : DEFAULT_TIMING.duration,
+    easing: EASINGS[state.easing] ? state.easing : DEFAULT_TIMING.easing,
+    stagger: isSeconds(state.stagger) ? state.stagger : DEFAULT_TIMING.stagger,
+    delays,
+    transforms
+  };
+}
+
+// Read the states of stored animation data ({ states: [...] }) from a
+// session or manifest, dropping malformed ones
+export function parseAnimationData(data) {
+  if (!data || typeof data !== 'object' || !Array.isArray(data.states)) return [];
+  return data.states.slice(0, MAX_STATES).map(sanitizeState).filter(Boolean);
+}
+
+// Plays and scrubs transitions between layout states. `update` is called
+// from the animation loop; `onChange` is called when the states, the time
+// or the playing flag change. `revision` counts changes to the states.
+export class AssemblyAnimation {
+  constructor(app) {
+    this.app = app;
+    this.states = [];
+    this.revision = 0;
+    this.time = 0;
+    this.playing = false;
+    this.lastFrameTime = null;
+    this.onChange = null;
+  }
+
+  notify(statesChanged = false) {
+    if (statesChanged) this.revision++;
+    if (this.onChange) this.onChange();
+  }
+
+  // Record the current layout of every part as a new state
+  captureState(name = `State ${this.states.length + 1}`) {
+    const transforms = {};
+    this.app.loadedModels.forEach((container, part) => {
+      transforms[part] = {
+        position: container.position.toArray(),
+        quaternion: container.quaternion.toArray(),
+        scale: container.scale.toArray()
+      };
+    });
+    this.states.push({ name, ...DEFAULT_TIMING, delays: {}, transforms });
+    this.time = this.getStateTime(this.states.length - 1);
+    this.notify(true);
+  }
+
+  updateState(index, changes) {
+    this.states[index] = sanitizeState({ ...this.states[index], ...changes }, index) || this.states[index];
+    this.notify(true);
+  }
+
+  removeState(index) {
+    this.states.splice(index, 1);
+    this.time = Math.min(this.time, this.getDuration());
+    this.notify(true);
+  }
+
+  load(data) {
+    this.pause();
+    this.states = parseAnimationData(data);
+    this.time = 0;
+    this.notify(true);
+  }
+
+  clear() {
+    this.load(null);
+  }
+
+  toJSON() {
+    return { states: this.states };
+  }
+
+  getPartDelay(state, part, index) {
+    return part in state.delays ? state.delays[part] : index * state.stagger;
+  }
+
+  // Length of the transition into a state: the last part to finish
+  getTransitionLength(state) {
+    return Object.keys(state.transforms).reduce(
+      (length, part, index) => Math.max(length, this.getPartDelay(state, part, index) + state.duration),
+      0
+    );
+  }
+
+  // Time at which a state is reached
+  getStateTime(index) {
+    let time = 0;
+    for (let i = 1; i <= index; i++) {
+      time += this.getTransitionLength(this.states[i]);
+    }
+    return time;
+  }
+
+  getDuration() {
+    return this.getStateTime(this.states.length - 1);
+  }
+
+  // Pose the parts as they are `time` seconds into the sequence
+  seek(time) {
+    if (this.states.length === 0) return;
+    this.time = THREE.MathUtils.clamp(time, 0, this.getDuration());
+
+    let start = 0;
+    let index = 1;
+    while (index < this.states.length) {
+      const length = this.getTransitionLength(this.states[index]);
+      if (this.time <= start + length) break;
+      start += length;
+      index++;
+    }
+
+    if (index >= this.states.length) {
+      const last = this.states[this.states.length - 1];
+      this.applyTransition(last, last, Infinity);
+    } else {
+      this.applyTransition(this.states[index - 1], this.states[index], this.time - start);
+    }
+    this.notify();
+  }
+
+  // Pose every part `elapsed` seconds into the transition between two states
+  applyTransition(from, to, elapsed) {
+    const fromVector = new THREE.Vector3();
+    const toVector = new THREE.Vector3();
+    const fromQuaternion = new THREE.Quaternion();
+    const toQuaternion = new THREE.Quaternion();
+    const ease = EASINGS[to.easing];
+
+    Object.entries(to.transforms).forEach(([part, target], index) => {
+      const container = this.app.loadedModels.get(part);
+      if (!container) return;
+      const origin = from.transforms[part] || target;
+      const progress = to.duration > 0
+        ? THREE.MathUtils.clamp((elapsed - this.getPartDelay(to, part, index)) / to.duration, 0, 1)
+        : (elapsed >= this.getPartDelay(to, part, index) ? 1 : 0);
+      const t = ease(progress);
+
+      container.position.lerpVectors(fromVector.fromArray(origin.position), toVector.fromArray(target.position), t);
+      container.quaternion.slerpQuaternions(
+        fromQuaternion.fromArray(origin.quaternion).normalize(),
+        toQuaternion.fromArray(target.quaternion).normalize(),
+        t
+      );
+      container.scale.lerpVectors(fromVector.fromArray(origin.scale), toVector.fromArray(target.scale), t);
+    });
+  }
+
+  goToState(index) {
+    this.pause();
+    this.seek(this.getStateTime(index));
+  }
+
+  play() {
+    if (this.states.length < 2) return;
+    // Playing from the end starts over
+    if (this.time >= this.getDuration()) this.time = 0;
+    this.playing = true;
+    this.lastFrameTime = null;
+    this.notify();
+  }
+
+  pause() {
+    this.playing = false;
+    this.notify();
+  }
+
+  update() {
+    if (!this.playing) return;
+    const now = performance.now();
+    const delta = this.lastFrameTime === null ? 0 : (now - this.lastFrameTime) / 1000;
+    this.lastFrameTime = now;
+
+    this.seek(this.time + delta);
+    if (this.time >= this.getDuration()) this.pause();
+  }
+}
+
+// Floating panel listing the states with a play/pause button and a
+// timeline to scrub through the sequence. `editState(index)` opens the
+// timing editor for a state.
+export function createAnimationPanel(animation, { editState }) {
+  const { element: panel, closeButton, show, hide, toggle } = createPanel();
+  panel.style.left = '10px';
+  panel.style.bottom = '20px';
+  panel.style.width = '340px';
+  panel.style.maxHeight = '50vh';
+  panel.style.overflowY = 'auto';
+  panel.style.padding = '12px 16px';
+
+  const header = createPanelHeader('Assembly Animation', [closeButton]);
+
+  const list = document.createElement('div');
+  list.style.margin = '8px 0';
+
+  const addButton = createPrimaryButton('Add Current Layout');
+  addButton.addEventListener('click', () => animation.captureState());
+
+  const transport = document.createElement('div');
+  transport.style.display = 'flex';
+  transport.style.alignItems = 'center';
+  transport.style.gap = '8px';
+  transport.style.marginTop = '10px';
+
+  const playButton = createIconButton('fa-solid fa-play', 'Play');
+  playButton.addEventListener('click', () => (animation.playing ? animation.pause() : animation.play()));
+
+  const scrubber = document.createElement('input');
+  scrubber.type = 'range';
+  scrubber.min = '0';
+  scrubber.max = '1000';
+  scrubber.value = '0';
+  scrubber.style.flex = '1';
+  scrubber.style.accentColor = '#d00024';
+  scrubber.addEventListener('input', () => {
+    animation.pause();
+    animation.seek((scrubber.value / 1000) * animation.getDuration());
+  });
+
+  const timeLabel = document.createElement('span');
+  timeLabel.style.fontSize = '12px';
+  timeLabel.style.color = '#777';
+  timeLabel.style.minWidth = '72px';
+  timeLabel.style.textAlign = 'right';
+
+  transport.appendChild(playButton);
+  transport.appendChild(scrubber);
+  transport.appendChild(timeLabel);
+
+  panel.appendChild(header.element);
+  panel.appendChild(list);
+  panel.appendChild(addButton);
+  panel.appendChild(transport);
+
+  let renderedRevision = -1;
+  function renderList() {
+    renderedRevision = animation.revision;
+    list.innerHTML = '';
+    if (animation.states.length === 0) {
+      const empty = document.createElement('p');
+      empty.textContent = 'Arrange the parts and add each layout as a state.';
+      empty.style.color = '#777';
+      empty.style.fontSize = '12px';
+      list.appendChild(empty);
+      return;
+    }
+    animation.states.forEach((state, index) => {
+      const row = document.createElement('div');
+      row.style.display = 'flex';
+      row.style.alignItems = 'center';
+      row.style.padding = '4px 6px';
+      row.style.marginBottom = '4px';
+      row.style.borderRadius = '4px';
+      row.style.backgroundColor = '#f5f5f5';
+
+      const name = document.createElement('span');
+      name.textContent = `${index + 1}. ${state.name}`;
+      name.style.flex = '1';
+      name.style.cursor = 'pointer';
+      name.title = index === 0
+        ? 'Starting layout'
+        : `${EASING_NAMES[state.easing]}, ${animation.getTransitionLength(state).toFixed(1)} s`;
+      name.addEventListener('click', () => animation.goToState(index));
+
+      const editButton = createIconButton('fa-solid fa-sliders', 'Timing');
+      editButton.addEventListener('click', () => editState(index));
+      const deleteButton = createIconButton('fa-solid fa-trash', 'Delete');
+      deleteButton.addEventListener('click', () => animation.removeState(index));
+
+      row.appendChild(name);
+      row.appendChild(editButton);
+      row.appendChild(deleteButton);
+      list.appendChild(row);
+    });
+  }
+
+  animation.onChange = () => {
+    // Rebuild the list only when the states changed, not on every frame
+    if (renderedRevision !== animation.revision) renderList();
+    const duration = animation.getDuration();
+    scrubber.value = String(duration > 0 ? Math.round((animation.time / duration) * 1000) : 0);
+    scrubber.disabled = animation.states.length < 2;
+    playButton.innerHTML = `<i class="fa-solid ${animation.playing ? 'fa-pause' : 'fa-play'}"></i>`;
+    playButton.title = animation.playing ? 'Pause' : 'Play';
+    timeLabel.textContent = `${animation.time.toFixed(1)} / ${duration.toFixed(1)} s`;
+  };
+  animation.onChange();
+
+  return { element: panel, show, hide, toggle };
+}
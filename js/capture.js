@@ -0,0 +1,111 @@
+// capture.js
+
+import * as THREE from 'three';
+
+// Output sizes offered for stills and recordings
+export const CAPTURE_SIZES = [
+  ['1920x1080', 'Full HD (1920 × 1080)'],
+  ['2560x1440', 'QHD (2560 × 1440)'],
+  ['3840x2160', '4K (3840 × 2160)'],
+  ['2048x2048', 'Square (2048 × 2048)'],
+  ['4096x4096', 'Square (4096 × 4096)']
+];
+
+export function parseCaptureSize(value) {
+  const [width, height] = String(value).split('x').map(Number);
+  return { width, height };
+}
+
+// Largest size the GPU can render in one pass, scaled down to fit
+function fitToDeviceLimits(renderer, width, height) {
+  const gl = renderer.getContext();
+  const maxViewport = gl.getParameter(gl.MAX_VIEWPORT_DIMS);
+  const maxSize = Math.min(gl.getParameter(gl.MAX_RENDERBUFFER_SIZE), maxViewport[0], maxViewport[1]);
+  const scale = Math.min(1, maxSize / width, maxSize / height);
+  return { width: Math.floor(width * scale), height: Math.floor(height * scale) };
+}
+
+// Switch the viewer into capture mode: the animation loop is paused, the
+// canvas renders at `width` × `height` regardless of the window, and the
+// AR reticle and any object flagged with `userData.hideInCapture` are
+// hidden. With `transparent` the grey background and the floor are left
+// out; `background` (a colour) replaces the grey instead. Returns
+// { width, height, canvas, render(camera), end() }; `end` puts
+// everything back and restarts the loop.
+export function beginCapture(app, { width, height, transparent = false, background = null }) {
+  const renderer = app.renderer;
+  const size = fitToDeviceLimits(renderer, width, height);
+  if (size.width !== width || size.height !== height) {
+    console.warn(`Capture size reduced to ${size.width} × ${size.height} to fit this device.`);
+  }
+
+  renderer.setAnimationLoop(null);
+
+  const savedSize = renderer.getSize(new THREE.Vector2());
+  const savedPixelRatio = renderer.getPixelRatio();
+  const savedClearColor = renderer.getClearColor(new THREE.Color());
+  const savedClearAlpha = renderer.getClearAlpha();
+  const savedBackground = app.scene.background;
+  const savedAspect = app.camera.aspect;
+
+  const hidden = [];
+  app.scene.traverse(object => {
+    const isHelper = object === app.placementReticle || object.userData.hideInCapture
+      || (transparent && object === app.floor);
+    if (isHelper && object.visible) hidden.push(object);
+  });
+  hidden.forEach(object => { object.visible = false; });
+
+  if (transparent) {
+    app.scene.background = null;
+    renderer.setClearColor(0x000000, 0);
+  } else if (background !== null) {
+    app.scene.background = new THREE.Color(background);
+  }
+
+  // Keep the page layout untouched; only the drawing buffer changes
+  renderer.setPixelRatio(1);
+  renderer.setSize(size.width, size.height, false);
+
+  return {
+    width: size.width,
+    height: size.height,
+    canvas: renderer.domElement,
+    render(camera = app.camera) {
+      if (camera.isPerspectiveCamera && camera.aspect !== size.width / size.height) {
+        camera.aspect = size.width / size.height;
+        camera.updateProjectionMatrix();
+      }
+      renderer.render(app.scene, camera);
+    },
+    end() {
+      renderer.setPixelRatio(savedPixelRatio);
+      renderer.setSize(savedSize.x, savedSize.y, false);
+      renderer.setClearColor(savedClearColor, savedClearAlpha);
+      app.scene.background = savedBackground;
+      hidden.forEach(object => { object.visible = true; });
+      app.camera.aspect = savedAspect;
+      app.camera.updateProjectionMatrix();
+      app.animate();
+    }
+  };
+}
+
+// Encode a canvas; its pixels are copied as soon as this is called
+export function canvasToBlob(canvas, type = 'image/png', quality) {
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('The image could not be encoded.'))), type, quality);
+  });
+}
+
+// Render the current view once at the given size and resolve with a PNG
+export function captureImage(app, options) {
+  const capture = beginCapture(app, options);
+  try {
+    capture.render();
+    // Called before the next frame clears the canvas
+    return canvasToBlob(capture.canvas);
+  } finally {
+    capture.end();
+  }
+}
@@ -0,0 +1,227 @@
+// catalog.js
+//
+// Reads the product catalog in assets/files.json. Each entry of "models":
+//
+//   {
+//     "id": "lotus-coffee-dripper",        // optional, defaults to name
+//     "name": "20250714-Lotus-coffee-dripper",
+//     "title": "Lotus Coffee Dripper",     // optional display title
+//     "category": "Coffee",                // optional
+//     "description": "…",                  // optional
+//     "thumbnail": "./assets/thumbnails/lotus.png", // optional
+//     "revisionDate": "2025-07-14",        // optional ISO date
+//     "units": "mm",                       // optional: mm, cm, m or in (default m)
+//     "url": "./assets/files/lotus.glb",   // single-part product, or…
+//     "parts": [                           // …several files loaded as one assembly
+//       { "name": "lid", "url": "./assets/files/lotus-lid.glb" }
+//     ],
+//     "colorways": [                       // optional, material name -> colour
+//       { "name": "Teal", "materials": { "Body": "#2a9d8f" } }
+//     ],
+//     "defaultColorway": "Teal",           // optional, applied on load
+//     "animation": { "states": [...] }     // optional assembly sequence keyed
+//                                          // by part name, see assemblyAnimation.js
+//   }
+//
+// The original { name, url } entries remain valid.
+
+import * as THREE from 'three';
+import { parseAnimationData } from './assemblyAnimation.js';
+
+export const CATALOG_URL = './assets/files.json';
+
+// Scale from the declared units to the viewer's metres
+export const UNIT_SCALES = {
+  mm: 0.001,
+  cm: 0.01,
+  m: 1,
+  in: 0.0254
+};
+
+const COLOR_PATTERN = /^#[0-9a-fA-F]{6}$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}/;
+
+function isNonEmptyString(value) {
+  return typeof value === 'string' && value.trim() !== '';
+}
+
+// Validate one manifest entry. Returns { product, errors }; product is null
+// when the entry can't be used.
+function validateEntry(entry, index) {
+  const label = entry && isNonEmptyString(entry.name) ? `"${entry.name}"` : `#${index + 1}`;
+  const errors = [];
+  const fail = (message) => errors.push(`Entry ${label}: ${message}`);
+
+  if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+    fail('must be an object.');
+    return { product: null, errors };
+  }
+
+  const id = entry.id !== undefined ? entry.id : entry.name;
+  if (!isNonEmptyString(id)) fail('needs a "name" or "id".');
+
+  ['title', 'category', 'description', 'thumbnail'].forEach(field => {
+    if (entry[field] !== undefined && typeof entry[field] !== 'string') {
+      fail(`"${field}" must be a string.`);
+    }
+  });
+
+  if (entry.revisionDate !== undefined
+      && (typeof entry.revisionDate !== 'string' || !DATE_PATTERN.test(entry.revisionDate)
+        || isNaN(Date.parse(entry.revisionDate)))) {
+    fail('"revisionDate" must be a date like "2025-07-14".');
+  }
+
+  if (entry.units !== undefined && !Object.prototype.hasOwnProperty.call(UNIT_SCALES, entry.units)) {
+    fail(`"units" must be one of ${Object.keys(UNIT_SCALES).join(', ')}.`);
+  }
+
+  // Either a single url or a list of parts
+  let parts = [];
+  if (entry.parts !== undefined) {
+    if (!Array.isArray(entry.parts) || entry.parts.length === 0) {
+      fail('"parts" must be a non-empty list.');
+    } else {
+      entry.parts.forEach((part, partIndex) => {
+        if (!part || !isNonEmptyString(part.url)) {
+          fail(`part ${partIndex + 1} needs a "url".`);
+        } else if (part.name !== undefined && !isNonEmptyString(part.name)) {
+          fail(`part ${partIndex + 1} has an empty "name".`);
+        } else {
+          parts.push({ name: part.name || part.url.split('/').pop().replace(/\.[^.]+$/, ''), url: part.url });
+        }
+      });
+    }
+  } else if (isNonEmptyString(entry.url)) {
+    parts = [{ name: entry.name || id, url: entry.url }];
+  } else {
+    fail('needs a "url" or a list of "parts".');
+  }
+
+  const colorways = [];
+  if (entry.colorways !== undefined) {
+    if (!Array.isArray(entry.colorways)) {
+      fail('"colorways" must be a list.');
+    } else {
+      entry.colorways.forEach((colorway, colorwayIndex) => {
+        if (!colorway || !isNonEmptyString(colorway.name)) {
+          fail(`colorway ${colorwayIndex + 1} needs a "name".`);
+          return;
+        }
+        const materials = colorway.materials;
+        if (!materials || typeof materials !== 'object' || Array.isArray(materials)) {
+          fail(`colorway "${colorway.name}" needs a "materials" object.`);
+          return;
+        }
+        const invalid = Object.entries(materials).filter(([, color]) => !COLOR_PATTERN.test(color));
+        if (invalid.length > 0) {
+          fail(`colorway "${colorway.name}" has invalid colours for ${invalid.map(([name]) => name).join(', ')} (use "#rrggbb").`);
+          return;
+        }
+        colorways.push({ name: colorway.name, materials: { ...materials } });
+      });
+    }
+  }
+
+  if (entry.defaultColorway !== undefined && !colorways.some(colorway => colorway.name === entry.defaultColorway)) {
+    fail(`"defaultColorway" "${entry.defaultColorway}" is not one of its colorways.`);
+  }
+
+  let animation = null;
+  if (entry.animation !== undefined) {
+    const states = parseAnimationData(entry.animation);
+    if (states.length === 0) {
+      fail('"animation" needs a "states" list of part layouts.');
+    } else {
+      animation = { states };
+    }
+  }
+
+  if (errors.length > 0) return { product: null, errors };
+
+  return {
+    product: {
+      id,
+      name: entry.name || id,
+      title: entry.title || entry.name || id,
+      category: entry.category || 'Uncategorized',
+      description: entry.description || '',
+      thumbnail: entry.thumbnail || null,
+      revisionDate: entry.revisionDate || null,
+      units: entry.units || null,
+      parts,
+      colorways,
+      defaultColorway: entry.defaultColorway || null,
+      animation
+    },
+    errors
+  };
+}
+
+// Validate a parsed manifest. Invalid entries are left out and described
+// in `errors`; a manifest without a "models" list throws.
+export function parseCatalog(data) {
+  if (!data || typeof data !== 'object' || !Array.isArray(data.models)) {
+    throw new Error('files.json must contain a "models" list.');
+  }
+
+  const products = [];
+  const errors = [];
+  const ids = new Set();
+
+  data.models.forEach((entry, index) => {
+    const result = validateEntry(entry, index);
+    errors.push(...result.errors);
+    if (!result.product) return;
+
+    if (ids.has(result.product.id)) {
+      errors.push(`Entry "${result.product.name}": the id "${result.product.id}" is used more than once.`);
+      return;
+    }
+    ids.add(result.product.id);
+    products.push(result.product);
+  });
+
+  return { products, errors };
+}
+
+export async function loadCatalog(url = CATALOG_URL) {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`Could not load ${url} (${response.status}).`);
+  }
+
+  let data;
+  try {
+    data = await response.json();
+  } catch (error) {
+    throw new Error(`${url} is not valid JSON: ${error.message}`);
+  }
+  return parseCatalog(data);
+}
+
+// Recolour the materials of the given containers from a colorway. Material
+// names are matched without regard to case.
+export function applyColorway(containers, colorway) {
+  if (!colorway) return;
+
+  const colors = new Map(
+    Object.entries(colorway.materials).map(([name, color]) => [name.toLowerCase(), color])
+  );
+
+  containers.forEach(container => {
+    container.traverse(child => {
+      if (!child.isMesh || !child.material) return;
+      const materials = Array.isArray(child.material) ? child.material : [child.material];
+      materials.forEach(material => {
+        const color = colors.get((material.name || '').toLowerCase());
+        if (!color || !material.color) return;
+        // Keep the file's own colour as the "Original" swatch in the colour picker
+        if (!material.userData.originalColor) {
+          material.userData.originalColor = '#' + material.color.getHexString();
+        }
+        material.color.set(new THREE.Color(color));
+      });
+    });
+  });
+}
@@ -0,0 +1,387 @@
+// catalogPanel.js
+
+import { createThumbnailImage } from './thumbnails.js';
+
+function formatRevisionDate(revisionDate) {
+  if (!revisionDate) return '';
+  const date = new Date(revisionDate);
+  return isNaN(date.getTime()) ? revisionDate : date.toLocaleDateString();
+}
+
+function createErrorList(errors) {
+  const box = document.createElement('div');
+  box.style.marginBottom = '10px';
+  box.style.padding = '8px';
+  box.style.borderRadius = '4px';
+  box.style.backgroundColor = '#fff4e5';
+  box.style.color = '#8a4b00';
+  box.style.fontSize = '12px';
+
+  const heading = document.createElement('strong');
+  heading.textContent = 'Some catalog entries could not be used:';
+  box.appendChild(heading);
+
+  const list = document.createElement('ul');
+  list.style.margin = '4px 0 0 16px';
+  errors.forEach(error => {
+    const item = document.createElement('li');
+    item.textContent = error;
+    list.appendChild(item);
+  });
+  box.appendChild(list);
+  return box;
+}
+
+function styleFilterControl(control) {
+  control.style.padding = '6px 8px';
+  control.style.borderRadius = '4px';
+  control.style.border = '1px solid #ccc';
+  control.style.fontSize = '13px';
+}
+
+function createSelect(options, title) {
+  const select = document.createElement('select');
+  select.title = title;
+  styleFilterControl(select);
+  options.forEach(([value, text]) => {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = text;
+    select.appendChild(option);
+  });
+  return select;
+}
+
+const SORT_OPTIONS = [
+  ['name-asc', 'Name (A–Z)'],
+  ['name-desc', 'Name (Z–A)'],
+  ['date-desc', 'Newest revision'],
+  ['date-asc', 'Oldest revision']
+];
+
+function compareProducts(a, b, sort) {
+  if (sort === 'date-desc' || sort === 'date-asc') {
+    // Products without a revision date go last either way
+    const dateA = a.revisionDate || '';
+    const dateB = b.revisionDate || '';
+    if (dateA !== dateB) {
+      if (!dateA) return 1;
+      if (!dateB) return -1;
+      return sort === 'date-desc' ? dateB.localeCompare(dateA) : dateA.localeCompare(dateB);
+    }
+  }
+  const byName = a.title.localeCompare(b.title, undefined, { numeric: true, sensitivity: 'base' });
+  return sort === 'name-desc' ? -byName : byName;
+}
+
+// Build the "Catalog" panel of the browse modal from a parsed catalog: a
+// thumbnail grid with search, category and date filters and sorting.
+// Arrow keys move between cards, Space ticks a card and Enter calls
+// `onSubmit`. Products without a manifest thumbnail ask `getThumbnail`
+// for a generated one. Returns the panel element and a getter for the ticked
+// products as { product, colorway } entries.
+export function createCatalogPanel(catalog, { onSubmit, getThumbnail } = {}) {
+  const panel = document.createElement('div');
+  panel.style.width = 'min(720px, 80vw)';
+  const products = catalog ? catalog.products : [];
+
+  // Ticked product id -> chosen colorway name (null for the file's colours)
+  const selected = new Map();
+
+  if (catalog && catalog.errors.length > 0) {
+    panel.appendChild(createErrorList(catalog.errors));
+  }
+
+  // ------------------------------
+  // Search, filters and sorting
+  // ------------------------------
+  const filtersDiv = document.createElement('div');
+  filtersDiv.style.display = 'flex';
+  filtersDiv.style.flexWrap = 'wrap';
+  filtersDiv.style.gap = '8px';
+  filtersDiv.style.marginBottom = '10px';
+
+  const searchInput = document.createElement('input');
+  searchInput.type = 'search';
+  searchInput.placeholder = 'Search models…';
+  searchInput.style.flex = '1';
+  searchInput.style.minWidth = '150px';
+  styleFilterControl(searchInput);
+
+  const categories = Array.from(new Set(products.map(product => product.category))).sort();
+  const categorySelect = createSelect(
+    [['', 'All categories'], ...categories.map(category => [category, category])],
+    'Category'
+  );
+
+  const dateLabel = document.createElement('label');
+  dateLabel.textContent = 'Revised since ';
+  dateLabel.style.fontSize = '13px';
+  dateLabel.style.display = 'flex';
+  dateLabel.style.alignItems = 'center';
+  dateLabel.style.gap = '4px';
+  const dateInput = document.createElement('input');
+  dateInput.type = 'date';
+  styleFilterControl(dateInput);
+  dateLabel.appendChild(dateInput);
+
+  const sortSelect = createSelect(SORT_OPTIONS, 'Sort by');
+
+  filtersDiv.appendChild(searchInput);
+  filtersDiv.appendChild(categorySelect);
+  filtersDiv.appendChild(dateLabel);
+  filtersDiv.appendChild(sortSelect);
+  if (products.length > 0) {
+    panel.appendChild(filtersDiv);
+  }
+
+  const description = document.createElement('p');
+  description.style.fontSize = '13px';
+  description.style.marginBottom = '10px';
+  panel.appendChild(description);
+
+  const grid = document.createElement('div');
+  grid.style.display = 'grid';
+  grid.style.gridTemplateColumns = 'repeat(auto-fill, minmax(150px, 1fr))';
+  grid.style.gap = '10px';
+  panel.appendChild(grid);
+
+  // ------------------------------
+  // Product cards
+  // ------------------------------
+  function updateCardStyle(card, checked) {
+    card.style.borderColor = checked ? '#d00024' : 'transparent';
+  }
+
+  function showThumbnail(media, image) {
+    image.style.width = '100%';
+    image.style.height = '100%';
+    image.style.objectFit = 'contain';
+    media.querySelector('.catalog-placeholder')?.remove();
+    media.insertBefore(image, media.firstChild);
+  }
+
+  function createCard(product, index) {
+    const card = document.createElement('div');
+    card.style.display = 'flex';
+    card.style.flexDirection = 'column';
+    card.style.padding = '6px';
+    card.style.borderRadius = '6px';
+    card.style.border = '2px solid transparent';
+    card.style.backgroundColor = '#f5f5f5';
+    card.style.cursor = 'pointer';
+
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.id = `catalog-${index}`;
+    checkbox.checked = selected.has(product.id);
+
+    const media = document.createElement('div');
+    media.style.position = 'relative';
+    media.style.aspectRatio = '4 / 3';
+    media.style.borderRadius = '4px';
+    media.style.backgroundColor = 'white';
+    media.style.display = 'flex';
+    media.style.alignItems = 'center';
+    media.style.justifyContent = 'center';
+    media.style.overflow = 'hidden';
+
+    if (product.thumbnail) {
+      const thumbnail = document.createElement('img');
+      thumbnail.src = product.thumbnail;
+      thumbnail.alt = '';
+      thumbnail.loading = 'lazy';
+      showThumbnail(media, thumbnail);
+    } else {
+      media.innerHTML = '<i class="catalog-placeholder fa-solid fa-cube" style="font-size: 32px; color: #ccc;"></i>';
+      if (getThumbnail) {
+        getThumbnail(product)
+          .then(blob => { if (blob) showThumbnail(media, createThumbnailImage(blob)); })
+          .catch(error => console.error(`Error creating thumbnail for ${product.name}:`, error));
+      }
+    }
+
+    checkbox.style.position = 'absolute';
+    checkbox.style.top = '6px';
+    checkbox.style.left = '6px';
+    media.appendChild(checkbox);
+
+    const label = document.createElement('label');
+    label.htmlFor = checkbox.id;
+    label.textContent = product.title;
+    label.style.fontWeight = 'bold';
+    label.style.fontSize = '14px';
+    label.style.marginTop = '6px';
+    label.style.cursor = 'pointer';
+
+    const meta = document.createElement('div');
+    const partsText = product.parts.length > 1 ? `${product.parts.length} parts` : '';
+    const revisionText = product.revisionDate ? `Rev. ${formatRevisionDate(product.revisionDate)}` : '';
+    meta.textContent = [product.category, revisionText, partsText, product.units]
+      .filter(Boolean)
+      .join(' · ');
+    meta.style.fontSize = '12px';
+    meta.style.color = '#777';
+
+    card.appendChild(media);
+    card.appendChild(label);
+    card.appendChild(meta);
+
+    if (product.description) {
+      const text = document.createElement('div');
+      text.textContent = product.description;
+      text.title = product.description;
+      text.style.fontSize = '12px';
+      text.style.marginTop = '4px';
+      text.style.overflow = 'hidden';
+      text.style.display = '-webkit-box';
+      text.style.webkitLineClamp = '2';
+      text.style.webkitBoxOrient = 'vertical';
+      card.appendChild(text);
+    }
+
+    let colorwaySelect = null;
+    if (product.colorways.length > 0) {
+      colorwaySelect = document.createElement('select');
+      colorwaySelect.title = 'Colorway';
+      colorwaySelect.style.marginTop = '4px';
+      colorwaySelect.style.padding = '2px 4px';
+      colorwaySelect.style.borderRadius = '4px';
+      colorwaySelect.style.border = '1px solid #ccc';
+      colorwaySelect.style.fontSize = '12px';
+
+      const originalOption = document.createElement('option');
+      originalOption.value = '';
+      originalOption.textContent = 'Original colours';
+      colorwaySelect.appendChild(originalOption);
+
+      product.colorways.forEach(colorway => {
+        const option = document.createElement('option');
+        option.value = colorway.name;
+        option.textContent = colorway.name;
+        colorwaySelect.appendChild(option);
+      });
+      colorwaySelect.value = selected.has(product.id)
+        ? selected.get(product.id) || ''
+        : product.defaultColorway || '';
+
+      colorwaySelect.addEventListener('change', () => {
+        // Picking a colorway also ticks the product for loading
+        checkbox.checked = true;
+        selected.set(product.id, colorwaySelect.value || null);
+        updateCardStyle(card, true);
+      });
+      colorwaySelect.addEventListener('click', (event) => event.stopPropagation());
+      card.appendChild(colorwaySelect);
+    }
+
+    checkbox.addEventListener('change', () => {
+      if (checkbox.checked) {
+        selected.set(product.id, colorwaySelect ? colorwaySelect.value || null : null);
+      } else {
+        selected.delete(product.id);
+      }
+      updateCardStyle(card, checkbox.checked);
+      updateDescription();
+    });
+
+    // Clicking anywhere on the card toggles it
+    card.addEventListener('click', (event) => {
+      if (event.target === checkbox || event.target === label) return;
+      checkbox.checked = !checkbox.checked;
+      checkbox.dispatchEvent(new Event('change'));
+      checkbox.focus();
+    });
+
+    updateCardStyle(card, checkbox.checked);
+    return card;
+  }
+
+  // Cards are built once and re-ordered or hidden when filters change
+  const cards = new Map(products.map((product, index) => [product.id, createCard(product, index)]));
+
+  function getVisibleProducts() {
+    const query = searchInput.value.trim().toLowerCase();
+    const category = categorySelect.value;
+    const since = dateInput.value;
+
+    return products
+      .filter(product => {
+        if (category && product.category !== category) return false;
+        if (since && (!product.revisionDate || product.revisionDate.slice(0, 10) < since)) return false;
+        if (!query) return true;
+        const text = [product.title, product.name, product.category, product.description]
+          .join(' ')
+          .toLowerCase();
+        return query.split(/\s+/).every(word => text.includes(word));
+      })
+      .sort((a, b) => compareProducts(a, b, sortSelect.value));
+  }
+
+  function updateDescription() {
+    if (products.length === 0) {
+      description.textContent = 'No models found.';
+      return;
+    }
+    const visibleCount = grid.children.length;
+    const selectedText = selected.size > 0 ? ` · ${selected.size} selected` : '';
+    description.textContent = visibleCount === 0
+      ? `No models match the current filters${selectedText}.`
+      : `Select models (multiple selections allowed): ${visibleCount} of ${products.length} shown${selectedText}`;
+  }
+
+  function render() {
+    grid.innerHTML = '';
+    getVisibleProducts().forEach(product => grid.appendChild(cards.get(product.id)));
+    updateDescription();
+  }
+
+  [searchInput, categorySelect, dateInput, sortSelect].forEach(control => {
+    control.addEventListener('input', render);
+    control.addEventListener('change', render);
+  });
+
+  // ------------------------------
+  // Keyboard navigation
+  // ------------------------------
+  grid.addEventListener('keydown', (event) => {
+    const visibleCards = Array.from(grid.children);
+    const currentIndex = visibleCards.findIndex(card => card.contains(document.activeElement));
+    if (currentIndex === -1) return;
+
+    if (event.key === 'Enter' && event.target.type === 'checkbox') {
+      event.preventDefault();
+      if (onSubmit) onSubmit();
+      return;
+    }
+
+    // Cards on the first row share the same top offset
+    const columns = visibleCards.filter(card => card.offsetTop === visibleCards[0].offsetTop).length || 1;
+    const moves = { ArrowRight: 1, ArrowLeft: -1, ArrowDown: columns, ArrowUp: -columns };
+    if (!(event.key in moves) || event.target.tagName === 'SELECT') return;
+
+    event.preventDefault();
+    const nextIndex = Math.min(visibleCards.length - 1, Math.max(0, currentIndex + moves[event.key]));
+    visibleCards[nextIndex].querySelector('input[type="checkbox"]').focus();
+  });
+
+  // Down arrow from the search box jumps into the grid
+  searchInput.addEventListener('keydown', (event) => {
+    if (event.key !== 'ArrowDown' || grid.children.length === 0) return;
+    event.preventDefault();
+    grid.children[0].querySelector('input[type="checkbox"]').focus();
+  });
+
+  render();
+
+  return {
+    element: panel,
+    focus: () => searchInput.focus(),
+    getSelectedProducts: () => products
+      .filter(product => selected.has(product.id))
+      .map(product => ({
+        product,
+        colorway: product.colorways.find(colorway => colorway.name === selected.get(product.id)) || null
+      }))
+  };
+}
@@ -0,0 +1,201 @@
+// deepLink.js
+//
+// Keeps the viewer state in the URL hash so a link (or a refresh) reopens
+// the same models, layout, colours and camera:
+//
+//   #view={"v":1,
+//          "models":[{"name":"lid","url":"./assets/files/lid.glb","units":"mm",
+//                     "position":[0,0.1,0],"quaternion":[0,0,0,1],"scale":[1,1,1],
+//                     "colors":{"Body":"#2a9d8f"}}],
+//          "camera":{"position":[1,1,1],"target":[0,0,0]}}
+//
+// Models are referenced by "url", or by "upload" (and optional "revisionId")
+// for files kept in this browser's upload library. A "view" query
+// parameter is read as well.
+
+import { MODEL_FORMATS } from './modelLoaders.js';
+import { UNIT_SCALES } from './catalog.js';
+
+export const VIEW_STATE_VERSION = 1;
+
+// Links longer than this are not worth parsing
+const MAX_LINK_LENGTH = 20000;
+const MAX_MODELS = 50;
+const MAX_NAME_LENGTH = 200;
+const COLOR_PATTERN = /^#[0-9a-fA-F]{6}$/;
+// Decimal places kept for positions, rotations and scales
+const PRECISION = 4;
+
+function roundArray(values) {
+  const factor = 10 ** PRECISION;
+  return values.map(value => Math.round(value * factor) / factor);
+}
+
+// Read the current materials of a part that differ from the file's own
+// colours, keyed by material name
+function captureColors(container) {
+  const colors = {};
+  container.traverse(node => {
+    if (!node.isMesh || !node.material) return;
+    const materials = Array.isArray(node.material) ? node.material : [node.material];
+    materials.forEach(material => {
+      if (!material.name || !material.color || !material.userData.originalColor) return;
+      const color = '#' + material.color.getHexString();
+      if (color !== material.userData.originalColor.toLowerCase()) {
+        colors[material.name] = color;
+      }
+    });
+  });
+  return colors;
+}
+
+// Describe the models in the scene and the camera. Models without a
+// linkable source (e.g. uploads that were not kept) are left out.
+export function captureViewState(app) {
+  const models = [];
+  app.loadedModels.forEach(container => {
+    const source = container.userData.source;
+    if (!source) return;
+
+    const model = { name: container.name, ...source };
+    model.position = roundArray(container.position.toArray());
+    model.quaternion = roundArray(container.quaternion.toArray());
+    model.scale = roundArray(container.scale.toArray());
+    const colors = captureColors(container);
+    if (Object.keys(colors).length > 0) model.colors = colors;
+    models.push(model);
+  });
+
+  return {
+    v: VIEW_STATE_VERSION,
+    models,
+    camera: {
+      position: roundArray(app.camera.position.toArray()),
+      target: roundArray(app.orbitControls.target.toArray())
+    }
+  };
+}
+
+export function encodeViewState(state) {
+  return '#' + new URLSearchParams({ view: JSON.stringify(state) }).toString();
+}
+
+function isNumberArray(value, length) {
+  return Array.isArray(value) && value.length === length
+    && value.every(item => typeof item === 'number' && Number.isFinite(item));
+}
+
+function isShortString(value) {
+  return typeof value === 'string' && value.trim() !== '' && value.length <= MAX_NAME_LENGTH;
+}
+
+// Only plain http(s) or page-relative URLs may be loaded from a link
+function isSafeModelURL(url) {
+  if (typeof url !== 'string' || url.length > MAX_LINK_LENGTH) return false;
+  try {
+    const parsed = new URL(url, window.location.href);
+    return parsed.protocol === 'http:' || parsed.protocol === 'https:';
+  } catch (error) {
+    return false;
+  }
+}
+
+// Keep the recognised, well-formed fields of one model entry, or return
+// null when it can't be loaded
+function sanitizeModel(entry) {
+  if (!entry || typeof entry !== 'object' || Array.isArray(entry)) return null;
+
+  const model = {};
+  if (isShortString(entry.upload)) {
+    model.upload = entry.upload;
+    if (Number.isInteger(entry.revisionId)) model.revisionId = entry.revisionId;
+  } else if (isSafeModelURL(entry.url)) {
+    model.url = entry.url;
+  } else {
+    return null;
+  }
+
+  model.name = isShortString(entry.name) ? entry.name : (model.upload || model.url.split('/').pop());
+  if (MODEL_FORMATS.includes(entry.format)) model.format = entry.format;
+  if (Object.prototype.hasOwnProperty.call(UNIT_SCALES, entry.units)) model.units = entry.units;
+  if (isNumberArray(entry.position, 3)) model.position = entry.position;
+  if (isNumberArray(entry.quaternion, 4) && entry.quaternion.some(value => value !== 0)) {
+    model.quaternion = entry.quaternion;
+  }
+  if (isNumberArray(entry.scale, 3) && entry.scale.every(value => value !== 0)) model.scale = entry.scale;
+
+  if (entry.colors && typeof entry.colors === 'object' && !Array.isArray(entry.colors)) {
+    const colors = Object.entries(entry.colors)
+      .filter(([name, color]) => isShortString(name) && COLOR_PATTERN.test(color));
+    if (colors.length > 0) model.colors = Object.fromEntries(colors);
+  }
+  return model;
+}
+
+// Parse the view state of a location hash or query string. Anything that
+// isn't understood is dropped; resolves to null when no models are left.
+export function parseViewState(hash, search = '') {
+  let text = null;
+  for (const part of [hash, search]) {
+    if (!part || part.length > MAX_LINK_LENGTH) continue;
+    text = new URLSearchParams(part.replace(/^[#?]/, '')).get('view');
+    if (text) break;
+  }
+  if (!text) return null;
+
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    console.warn('Ignoring malformed view link:', error.message);
+    return null;
+  }
+  if (data && typeof data.v === 'number' && data.v > VIEW_STATE_VERSION) {
+    console.warn(`View link version ${data.v} is newer than this viewer; reading what it can.`);
+  }
+  return sanitizeViewState(data);
+}
+
+// Keep the well-formed models and camera of a parsed view state, as read
+// from a link or a session file. Returns null when no models are left.
+export function sanitizeViewState(data) {
+  if (!data || typeof data !== 'object' || !Array.isArray(data.models)) return null;
+
+  const models = data.models.slice(0, MAX_MODELS).map(sanitizeModel).filter(Boolean);
+  if (models.length === 0) return null;
+
+  const state = { models, camera: null };
+  const camera = data.camera;
+  if (camera && isNumberArray(camera.position, 3) && isNumberArray(camera.target, 3)) {
+    state.camera = { position: camera.position, target: camera.target };
+  }
+  return state;
+}
+
+// Mirror the viewer state into the hash while the page is open. Checked
+// on an interval so drags, colour changes and XR moves are all picked up
+// without each of them having to report in.
+export function startViewStateSync(app, interval = 1000) {
+  let lastHash = window.location.hash;
+
+  const update = () => {
+    if (app.isRestoringView || app.renderer.xr.isPresenting) return;
+
+    const state = captureViewState(app);
+    const hash = state.models.length > 0 ? encodeViewState(state) : '';
+    if (hash === lastHash) return;
+    lastHash = hash;
+    // replaceState keeps the back button free of every small change
+    history.replaceState(null, '', window.location.pathname + window.location.search + hash);
+  };
+
+  // A link pasted into the address bar of an open viewer
+  window.addEventListener('hashchange', () => {
+    if (window.location.hash === lastHash) return;
+    lastHash = window.location.hash;
+    const state = parseViewState(window.location.hash);
+    if (state) app.openViewState(state);
+  });
+
+  setInterval(update, interval);
+}
@@ -0,0 +1,20 @@
+// downloads.js
+
+// Save a Blob through the browser's download prompt
+export function downloadBlob(blob, fileName) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  // Give the download a moment to start before releasing the data
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// File name like "session-2025-07-14-153012.json"
+export function getTimestampedFileName(prefix, extension) {
+  const stamp = new Date().toISOString().replace(/\..*$/, '').replace('T', '-').replace(/:/g, '');
+  return `${prefix}-${stamp}.${extension}`;
+}
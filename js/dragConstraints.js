@@ -0,0 +1,247 @@
+// dragConstraints.js
+//
+// Axis locks, snapping and collisions for dragging parts with the mouse,
+// touch or an XR controller. Positions are in the space of the part's
+// parent (productGroup), where one unit is a metre, so grid steps are real
+// distances.
+
+import * as THREE from 'three';
+import { CollisionSession } from './meshCollision.js';
+import { createPanel, createPanelButton, createPanelCheckbox, setButtonActive } from './panelManager.js';
+
+export const CONSTRAINT_AXES = [
+  ['free', 'Free', 'Move freely'],
+  ['x', 'X', 'Lock to the X axis (hold X)'],
+  ['y', 'Y', 'Lock to the Y axis (hold Y)'],
+  ['z', 'Z', 'Lock to the Z axis (hold Z)']
+];
+
+// Grid steps in metres; 0 turns grid snapping off
+export const GRID_STEPS = [
+  [0, 'No grid'],
+  [0.001, '1 mm'],
+  [0.005, '5 mm'],
+  [0.01, '1 cm'],
+  [0.05, '5 cm'],
+  [0.1, '10 cm']
+];
+
+export const AXIS_VECTORS = {
+  x: new THREE.Vector3(1, 0, 0),
+  y: new THREE.Vector3(0, 1, 0),
+  z: new THREE.Vector3(0, 0, 1)
+};
+
+// Parts snap to each other within this fraction of the camera distance,
+// which keeps the pull about the same on screen at any zoom
+const SNAP_DISTANCE_FRACTION = 0.015;
+
+// Bounding box of `object` in the space of `parent`. Built from the mesh
+// bounding boxes, so it stays tight when the parent is rotated.
+function getBoxInParentSpace(object, parent) {
+  const box = new THREE.Box3();
+  const toParent = new THREE.Matrix4().copy(parent.matrixWorld).invert();
+  const matrix = new THREE.Matrix4();
+  const meshBox = new THREE.Box3();
+  object.updateWorldMatrix(true, true);
+  object.traverse(node => {
+    if (!node.isMesh || !node.geometry) return;
+    if (!node.geometry.boundingBox) node.geometry.computeBoundingBox();
+    matrix.multiplyMatrices(toParent, node.matrixWorld);
+    box.union(meshBox.copy(node.geometry.boundingBox).applyMatrix4(matrix));
+  });
+  return box;
+}
+
+// Snap positions of a box along one axis: its faces and centre
+function getSnapValues(box, axis) {
+  return [box.min[axis], (box.min[axis] + box.max[axis]) / 2, box.max[axis]];
+}
+
+// One drag of one part. The other parts don't move during a drag, so
+// their boxes are measured once.
+class DragSession {
+  constructor(constraints, object, others, floor) {
+    this.constraints = constraints;
+    this.object = object;
+    this.start = object.position.clone();
+    this.box = getBoxInParentSpace(object, object.parent);
+    this.targets = others
+      .filter(other => other !== object && other.parent === object.parent && other.visible)
+      .map(other => getBoxInParentSpace(other, object.parent))
+      .filter(box => !box.isEmpty());
+    // Stops the part at contact with other parts and the floor
+    this.collisions = constraints.collisions ? new CollisionSession(object, others, floor) : null;
+  }
+
+  // Where the part should go when the pointer asks for `target` (parent
+  // space). `camera` sets how close parts must be to snap together.
+  constrain(target, camera) {
+    const axis = this.constraints.getActiveAxis();
+    const result = this.start.clone();
+    const axes = axis ? [axis] : ['x', 'y', 'z'];
+    axes.forEach(name => { result[name] = target[name]; });
+
+    const step = this.constraints.gridStep;
+    if (step > 0) {
+      axes.forEach(name => { result[name] = Math.round(result[name] / step) * step; });
+    }
+
+    if (this.constraints.snapToParts && this.targets.length > 0 && !this.box.isEmpty()) {
+      const worldPosition = this.object.parent.localToWorld(result.clone());
+      const snapDistance = SNAP_DISTANCE_FRACTION * camera.getWorldPosition(new THREE.Vector3()).distanceTo(worldPosition);
+      // The part's box where `result` would put it
+      const box = this.box.clone().translate(result.clone().sub(this.start));
+      axes.forEach(name => {
+        let best = null;
+        getSnapValues(box, name).forEach(value => {
+          this.targets.forEach(target => {
+            getSnapValues(target, name).forEach(targetValue => {
+              const offset = targetValue - value;
+              if (Math.abs(offset) <= snapDistance && (best === null || Math.abs(offset) < Math.abs(best))) {
+                best = offset;
+              }
+            });
+          });
+        });
+        // Lining up with a part wins over the grid
+        if (best !== null) result[name] += best;
+      });
+    }
+
+    if (this.collisions) {
+      return this.collisions.limitMove(this.object.position.clone(), result);
+    }
+    return result;
+  }
+}
+
+export class DragConstraints {
+  constructor() {
+    // Axis chosen in the constraint panel, or 'free'
+    this.axis = 'free';
+    // Axis whose key is held down; overrides `axis` while held
+    this.heldAxis = null;
+    this.gridStep = 0;
+    this.snapToParts = false;
+    // Stop dragged parts where they touch other parts or the floor
+    this.collisions = false;
+    this.onChange = null;
+  }
+
+  // 'x', 'y', 'z' or null when the part moves freely
+  getActiveAxis() {
+    const axis = this.heldAxis || this.axis;
+    return axis === 'free' ? null : axis;
+  }
+
+  setAxis(axis) {
+    if (axis !== 'free' && !AXIS_VECTORS[axis]) return;
+    this.axis = axis;
+    this.notify();
+  }
+
+  setHeldAxis(axis) {
+    if (axis === this.heldAxis) return;
+    this.heldAxis = axis;
+    this.notify();
+  }
+
+  setGridStep(step) {
+    this.gridStep = Math.max(0, Number(step) || 0);
+    this.notify();
+  }
+
+  setSnapToParts(enabled) {
+    this.snapToParts = Boolean(enabled);
+    this.notify();
+  }
+
+  setCollisions(enabled) {
+    this.collisions = Boolean(enabled);
+    this.notify();
+  }
+
+  // Start dragging `object`; `others` are the parts it can snap to and
+  // collide with. `floor` is the floor mesh, if parts shouldn't sink into it.
+  beginDrag(object, others, floor = null) {
+    return new DragSession(this, object, others, floor);
+  }
+
+  // Plane to intersect pointer rays with while dragging a part at
+  // `worldPosition`. It faces the camera, and with an axis lock it
+  // contains the axis, so the pointer can move the part along it from any
+  // viewing angle.
+  getDragPlane(camera, worldPosition, parent) {
+    const normal = camera.getWorldDirection(new THREE.Vector3());
+    const axis = this.getActiveAxis();
+    if (axis) {
+      const parentQuaternion = parent.getWorldQuaternion(new THREE.Quaternion());
+      const axisDirection = AXIS_VECTORS[axis].clone().applyQuaternion(parentQuaternion);
+      const perpendicular = normal.clone().sub(axisDirection.multiplyScalar(normal.dot(axisDirection)));
+      // Looking straight along the axis leaves the view plane as it is
+      if (perpendicular.lengthSq() > 1e-6) normal.copy(perpendicular.normalize());
+    }
+    return new THREE.Plane().setFromNormalAndCoplanarPoint(normal, worldPosition);
+  }
+
+  notify() {
+    if (this.onChange) this.onChange();
+  }
+}
+
+// Floating toolbar with the axis lock, grid step, part snapping and
+// collisions. It gives touch and XR users the options keyboard users get
+// by holding X, Y or Z.
+export function createConstraintPanel(constraints) {
+  const { element: panel, closeButton, show, hide, toggle } = createPanel({ display: 'flex', pill: true });
+  panel.style.top = '80px';
+  panel.style.left = '50%';
+  panel.style.transform = 'translateX(-50%)';
+  panel.style.gap = '8px';
+  panel.style.padding = '8px 14px';
+
+  const axisButtons = CONSTRAINT_AXES.map(([axis, text, tooltip]) => {
+    const button = createPanelButton(text, tooltip);
+    button.style.minWidth = '32px';
+    button.addEventListener('click', () => constraints.setAxis(axis));
+    panel.appendChild(button);
+    return [axis, button];
+  });
+
+  const gridSelect = document.createElement('select');
+  gridSelect.title = 'Grid snapping';
+  gridSelect.style.padding = '4px 6px';
+  gridSelect.style.border = '1px solid #ccc';
+  gridSelect.style.borderRadius = '4px';
+  GRID_STEPS.forEach(([value, text]) => {
+    const option = document.createElement('option');
+    option.value = String(value);
+    option.textContent = text;
+    gridSelect.appendChild(option);
+  });
+  gridSelect.addEventListener('change', () => constraints.setGridStep(parseFloat(gridSelect.value)));
+
+  const snap = createPanelCheckbox('Snap to parts', 'Line up with the faces and centres of other parts',
+    checked => constraints.setSnapToParts(checked));
+  const collisions = createPanelCheckbox('Stop at contact',
+    'Parts stop where they touch other parts or the floor. A part that already overlaps something moves freely until released.',
+    checked => constraints.setCollisions(checked));
+
+  panel.appendChild(gridSelect);
+  panel.appendChild(snap.element);
+  panel.appendChild(collisions.element);
+  panel.appendChild(closeButton);
+
+  // A held key shows as the active axis while it is down
+  constraints.onChange = () => {
+    const active = constraints.getActiveAxis() || 'free';
+    axisButtons.forEach(([axis, button]) => setButtonActive(button, axis === active));
+    gridSelect.value = String(constraints.gridStep);
+    snap.checkbox.checked = constraints.snapToParts;
+    collisions.checkbox.checked = constraints.collisions;
+  };
+  constraints.onChange();
+
+  return { element: panel, show, hide, toggle };
+}
@@ -0,0 +1,149 @@
+// dropZone.js
+
+import { showChoiceModal, showAlertModal } from './modalManager.js';
+
+// Read every file in a directory entry, recursing into sub-folders
+async function readDirectoryEntry(directoryEntry) {
+  const reader = directoryEntry.createReader();
+  const entries = [];
+
+  // readEntries returns results in batches until it yields an empty list
+  let batch;
+  do {
+    batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+    entries.push(...batch);
+  } while (batch.length > 0);
+
+  return entries;
+}
+
+async function collectEntryFiles(entry, files, paths) {
+  if (entry.isFile) {
+    const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+    files.push(file);
+    // fullPath starts with "/", keep the folder structure relative to the drop
+    paths.set(file, entry.fullPath.replace(/^\//, ''));
+  } else if (entry.isDirectory) {
+    const children = await readDirectoryEntry(entry);
+    for (const child of children) {
+      await collectEntryFiles(child, files, paths);
+    }
+  }
+}
+
+// Collect dropped files, including the contents of dropped folders
+async function readDroppedFiles(dataTransfer) {
+  const files = [];
+  const paths = new Map();
+
+  // Entries must be read synchronously, the items list is cleared after the event
+  const entries = Array.from(dataTransfer.items || [])
+    .filter(item => item.kind === 'file')
+    .map(item => (item.webkitGetAsEntry ? item.webkitGetAsEntry() : null));
+
+  if (entries.length > 0 && entries.every(Boolean)) {
+    for (const entry of entries) {
+      await collectEntryFiles(entry, files, paths);
+    }
+  } else {
+    files.push(...Array.from(dataTransfer.files));
+  }
+
+  return { files, paths };
+}
+
+// Ask whether dropped models replace the current ones or are added to them
+function askReplaceOrAdd() {
+  return showChoiceModal({
+    title: 'Open Models',
+    message: 'Replace the current models or add the dropped files to the scene?',
+    choices: [
+      [true, 'Replace'],
+      [false, 'Add']
+    ]
+  });
+}
+
+function createDropHighlight(container) {
+  const highlight = document.createElement('div');
+  highlight.style.position = 'absolute';
+  highlight.style.top = '0';
+  highlight.style.left = '0';
+  highlight.style.width = '100%';
+  highlight.style.height = '100%';
+  highlight.style.boxSizing = 'border-box';
+  highlight.style.border = '4px dashed #d00024';
+  highlight.style.backgroundColor = 'rgba(208,0,36,0.08)';
+  highlight.style.display = 'none';
+  highlight.style.alignItems = 'center';
+  highlight.style.justifyContent = 'center';
+  highlight.style.pointerEvents = 'none';
+  highlight.style.zIndex = '1';
+
+  const label = document.createElement('div');
+  label.textContent = 'Drop model files, ZIP archives or folders to open';
+  label.style.padding = '10px 20px';
+  label.style.borderRadius = '9999px';
+  label.style.backgroundColor = '#d00024';
+  label.style.color = 'white';
+  label.style.fontSize = '14px';
+
+  highlight.appendChild(label);
+  container.appendChild(highlight);
+  return highlight;
+}
+
+function isFileDrag(event) {
+  return event.dataTransfer && Array.from(event.dataTransfer.types || []).includes('Files');
+}
+
+// Let models be dropped onto the viewer canvas.
+export function setupDropZone(app) {
+  const container = app.container;
+  if (!container) return;
+
+  const highlight = createDropHighlight(container);
+  // dragenter/dragleave fire for child elements too, so count them
+  let dragDepth = 0;
+
+  container.addEventListener('dragenter', (event) => {
+    if (!isFileDrag(event)) return;
+    event.preventDefault();
+    dragDepth++;
+    highlight.style.display = 'flex';
+  });
+
+  container.addEventListener('dragover', (event) => {
+    if (!isFileDrag(event)) return;
+    event.preventDefault();
+    event.dataTransfer.dropEffect = 'copy';
+  });
+
+  container.addEventListener('dragleave', () => {
+    dragDepth = Math.max(0, dragDepth - 1);
+    if (dragDepth === 0) highlight.style.display = 'none';
+  });
+
+  container.addEventListener('drop', async (event) => {
+    if (!isFileDrag(event)) return;
+    event.preventDefault();
+    dragDepth = 0;
+    highlight.style.display = 'none';
+
+    try {
+      const { files, paths } = await readDroppedFiles(event.dataTransfer);
+      if (files.length === 0) return;
+
+      const replace = app.loadedModels.size > 0 ? await askReplaceOrAdd() : true;
+      await app.loadFiles(files, { paths, replace });
+    } catch (error) {
+      // e.g. a folder the browser may not read, or one too large to list
+      console.error('Error opening dropped files:', error);
+      showAlertModal('Unable to Open Files', `The dropped files could not be read: ${error.message || error.name}`);
+    }
+  });
+
+  // Stop the browser from navigating to files dropped outside the canvas
+  window.addEventListener('dragover', (event) => event.preventDefault());
+  window.addEventListener('drop', (event) => event.preventDefault());
+}
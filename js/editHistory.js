@@ -0,0 +1,115 @@
+// editHistory.js
+//
+// Undo/redo for edits to the scene. An entry is { label, undo(), redo() };
+// `undo` must put back exactly what `redo` (the original edit) changed.
+
+// Oldest entries are dropped beyond this, with the objects they hold on to
+const MAX_ENTRIES = 100;
+
+// Snapshot of the local transforms of `objects`, see pushTransforms
+export function captureTransforms(objects) {
+  return objects.map(object => ({
+    object,
+    position: object.position.clone(),
+    quaternion: object.quaternion.clone(),
+    scale: object.scale.clone()
+  }));
+}
+
+function applyTransforms(snapshots) {
+  snapshots.forEach(({ object, position, quaternion, scale }) => {
+    object.position.copy(position);
+    object.quaternion.copy(quaternion);
+    object.scale.copy(scale);
+  });
+}
+
+function transformsEqual(a, b) {
+  return a.position.equals(b.position) && a.quaternion.equals(b.quaternion) && a.scale.equals(b.scale);
+}
+
+export class EditHistory {
+  constructor() {
+    this.undoStack = [];
+    this.redoStack = [];
+    // Set while an entry is being undone or redone
+    this.isApplying = false;
+    this.onChange = null;
+  }
+
+  canUndo() {
+    return this.undoStack.length > 0;
+  }
+
+  canRedo() {
+    return this.redoStack.length > 0;
+  }
+
+  // Label of the entry the next undo or redo would apply, or null
+  getUndoLabel() {
+    return this.canUndo() ? this.undoStack[this.undoStack.length - 1].label : null;
+  }
+
+  getRedoLabel() {
+    return this.canRedo() ? this.redoStack[this.redoStack.length - 1].label : null;
+  }
+
+  // Record an edit that has already been made
+  push(entry) {
+    // Changes made by undo and redo themselves are not new edits
+    if (this.isApplying) return;
+    this.undoStack.push(entry);
+    if (this.undoStack.length > MAX_ENTRIES) this.undoStack.shift();
+    this.redoStack.length = 0;
+    this.notify();
+  }
+
+  // Record the change from `before` (see captureTransforms) to the
+  // objects' current transforms. Nothing is recorded if nothing moved.
+  // `undo` and `redo` run after the transforms are applied, for state
+  // that changed along with them.
+  pushTransforms(label, before, { undo, redo } = {}) {
+    const after = captureTransforms(before.map(snapshot => snapshot.object));
+    if (after.every((snapshot, index) => transformsEqual(snapshot, before[index]))) return;
+    this.push({
+      label,
+      undo: () => {
+        applyTransforms(before);
+        if (undo) undo();
+      },
+      redo: () => {
+        applyTransforms(after);
+        if (redo) redo();
+      }
+    });
+  }
+
+  undo() {
+    const entry = this.undoStack.pop();
+    if (!entry) return;
+    this.apply(() => entry.undo());
+    this.redoStack.push(entry);
+    this.notify();
+  }
+
+  redo() {
+    const entry = this.redoStack.pop();
+    if (!entry) return;
+    this.apply(() => entry.redo());
+    this.undoStack.push(entry);
+    this.notify();
+  }
+
+  apply(action) {
+    this.isApplying = true;
+    try {
+      action();
+    } finally {
+      this.isApplying = false;
+    }
+  }
+
+  notify() {
+    if (this.onChange) this.onChange();
+  }
+}
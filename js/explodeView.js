@@ -0,0 +1,223 @@
+// explodeView.js
+
+import * as THREE from 'three';
+import { createPanel } from './panelManager.js';
+
+export const EXPLODE_AXES = [
+  ['all', 'All directions'],
+  ['xz', 'Horizontal'],
+  ['x', 'X axis'],
+  ['y', 'Y axis'],
+  ['z', 'Z axis']
+];
+
+const AXIS_MASKS = {
+  all: new THREE.Vector3(1, 1, 1),
+  xz: new THREE.Vector3(1, 0, 1),
+  x: new THREE.Vector3(1, 0, 0),
+  y: new THREE.Vector3(0, 1, 0),
+  z: new THREE.Vector3(0, 0, 1)
+};
+
+// At full explode each part moves this many times its offset from the centroid
+const MAX_SPREAD = 1.5;
+const ANIMATION_DURATION = 400;
+
+function easeInOutCubic(t) {
+  return t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2;
+}
+
+// Moves the parts in productGroup away from the centroid of the assembly.
+// Each part keeps its assembled ("rest") position; dragging a part while
+// exploded moves its rest position along, so the slider never undoes a
+// manual adjustment. `update` is called from the animation loop.
+export class ExplodeController {
+  constructor(app) {
+    this.app = app;
+    // container -> { rest, offset, applied }
+    this.parts = new Map();
+    this.amount = 0;
+    this.axis = 'all';
+    this.animation = null;
+    this.onChange = null;
+  }
+
+  // Pick up added, removed and hand-moved parts and recompute the offsets
+  sync() {
+    const containers = this.app.productGroup.children.filter(child => child.userData.isDraggable);
+
+    this.parts.forEach((part, container) => {
+      if (!containers.includes(container)) this.parts.delete(container);
+    });
+
+    const centers = new Map();
+    containers.forEach(container => {
+      let part = this.parts.get(container);
+      if (!part) {
+        part = { rest: container.position.clone(), offset: new THREE.Vector3(), applied: container.position.clone() };
+        this.parts.set(container, part);
+      } else if (!container.position.equals(part.applied)) {
+        part.rest.add(container.position.clone().sub(part.applied));
+        part.applied.copy(container.position);
+      }
+
+      // Centre of the part at its rest position, in productGroup space
+      const center = new THREE.Box3().setFromObject(container).getCenter(new THREE.Vector3());
+      this.app.productGroup.worldToLocal(center);
+      centers.set(container, center.sub(container.position).add(part.rest));
+    });
+
+    if (centers.size === 0) return;
+    const centroid = new THREE.Vector3();
+    centers.forEach(center => centroid.add(center));
+    centroid.divideScalar(centers.size);
+    centers.forEach((center, container) => {
+      this.parts.get(container).offset.copy(center).sub(centroid);
+    });
+  }
+
+  getTargetPosition(part) {
+    const spread = part.offset.clone().multiply(AXIS_MASKS[this.axis]);
+    return spread.multiplyScalar(this.amount * MAX_SPREAD).add(part.rest);
+  }
+
+  // Move the parts towards the layout for the current amount and axis
+  apply(animate) {
+    if (this.animation) this.finishAnimation();
+    this.sync();
+
+    const moves = [];
+    this.parts.forEach((part, container) => {
+      moves.push({ container, part, from: container.position.clone(), to: this.getTargetPosition(part) });
+    });
+
+    if (animate) {
+      this.animation = { moves, start: performance.now() };
+    } else {
+      moves.forEach(({ container, part, to }) => {
+        container.position.copy(to);
+        part.applied.copy(to);
+      });
+    }
+    if (this.onChange) this.onChange();
+  }
+
+  // `amount` runs from 0 (assembled) to 1 (fully exploded)
+  setAmount(amount, { animate = true } = {}) {
+    this.amount = THREE.MathUtils.clamp(amount, 0, 1);
+    this.apply(animate);
+  }
+
+  setAxis(axis, { animate = true } = {}) {
+    if (!AXIS_MASKS[axis]) return;
+    this.axis = axis;
+    this.apply(animate);
+  }
+
+  // Forget rest positions, e.g. after Reset or when the models change
+  reset() {
+    this.animation = null;
+    this.parts.clear();
+    this.amount = 0;
+    if (this.onChange) this.onChange();
+  }
+
+  // Copy of the rest positions and settings, e.g. to undo clearing the scene
+  getState() {
+    if (this.animation) this.finishAnimation();
+    const parts = new Map();
+    this.parts.forEach((part, container) => {
+      parts.set(container, { rest: part.rest.clone(), offset: part.offset.clone(), applied: part.applied.clone() });
+    });
+    return { parts, amount: this.amount, axis: this.axis };
+  }
+
+  setState(state) {
+    this.animation = null;
+    this.parts = new Map();
+    state.parts.forEach((part, container) => {
+      this.parts.set(container, { rest: part.rest.clone(), offset: part.offset.clone(), applied: part.applied.clone() });
+    });
+    this.amount = state.amount;
+    this.axis = state.axis;
+    if (this.onChange) this.onChange();
+  }
+
+  finishAnimation() {
+    this.animation.moves.forEach(({ container, part, to }) => {
+      container.position.copy(to);
+      part.applied.copy(to);
+    });
+    this.animation = null;
+  }
+
+  update() {
+    if (!this.animation) return;
+    const t = Math.min(1, (performance.now() - this.animation.start) / ANIMATION_DURATION);
+    if (t === 1) {
+      this.finishAnimation();
+      return;
+    }
+    const eased = easeInOutCubic(t);
+    this.animation.moves.forEach(({ container, part, from, to }) => {
+      container.position.lerpVectors(from, to, eased);
+      part.applied.copy(container.position);
+    });
+  }
+}
+
+// Floating panel with the explode slider and axis choice
+export function createExplodePanel(controller) {
+  const { element: panel, closeButton, show, hide, toggle } = createPanel({ display: 'flex', pill: true });
+  panel.style.bottom = '20px';
+  panel.style.left = '50%';
+  panel.style.transform = 'translateX(-50%)';
+  panel.style.gap = '10px';
+  panel.style.padding = '10px 16px';
+
+  const label = document.createElement('label');
+  label.textContent = 'Explode';
+  label.htmlFor = 'explode-slider';
+
+  const slider = document.createElement('input');
+  slider.type = 'range';
+  slider.id = 'explode-slider';
+  slider.min = '0';
+  slider.max = '100';
+  slider.value = '0';
+  slider.style.width = '180px';
+  slider.style.accentColor = '#d00024';
+  // Follow the slider directly while dragging; clicks on the track animate
+  let dragging = false;
+  slider.addEventListener('pointerdown', () => { dragging = true; });
+  slider.addEventListener('change', () => { dragging = false; });
+  slider.addEventListener('input', () => {
+    controller.setAmount(slider.value / 100, { animate: !dragging });
+  });
+
+  const axisSelect = document.createElement('select');
+  axisSelect.title = 'Explode direction';
+  axisSelect.style.padding = '4px 6px';
+  axisSelect.style.border = '1px solid #ccc';
+  axisSelect.style.borderRadius = '4px';
+  EXPLODE_AXES.forEach(([value, text]) => {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = text;
+    axisSelect.appendChild(option);
+  });
+  axisSelect.addEventListener('change', () => controller.setAxis(axisSelect.value));
+
+  panel.appendChild(label);
+  panel.appendChild(slider);
+  panel.appendChild(axisSelect);
+  panel.appendChild(closeButton);
+
+  // Keep the controls in step with resets and programmatic changes
+  controller.onChange = () => {
+    slider.value = String(Math.round(controller.amount * 100));
+    axisSelect.value = controller.axis;
+  };
+
+  return { element: panel, show, hide, toggle };
+}
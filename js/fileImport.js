@@ -0,0 +1,187 @@
+// fileImport.js
+
+import { unzip } from 'three/addons/libs/fflate.module.js';
+import { MODEL_FORMATS } from './modelLoaders.js';
+
+// File types that open as a model; everything else is treated as a resource
+const MODEL_EXTENSIONS = MODEL_FORMATS;
+
+// Files a .gltf can reference from an archive
+const RESOURCE_EXTENSIONS = ['bin', 'png', 'jpg', 'jpeg', 'webp', 'avif', 'ktx2'];
+
+// Archive metadata added by macOS/Windows zip tools, ignored without a report
+const ARCHIVE_JUNK_PATTERN = /(^|\/)(__MACOSX\/|\.DS_Store$|Thumbs\.db$)/;
+
+export function getFileExtension(fileName) {
+  const match = /\.([^./\\]+)$/.exec(fileName);
+  return match ? match[1].toLowerCase() : '';
+}
+
+export function isModelFile(fileName) {
+  return MODEL_EXTENSIONS.includes(getFileExtension(fileName));
+}
+
+// Model name shown in the viewer: the file name without folder or extension
+export function getModelName(fileName) {
+  const baseName = fileName.split('/').pop();
+  return baseName.replace(/\.[^.]+$/, '');
+}
+
+// Path of a picked file, keeping the folder structure for folder uploads
+function getFilePath(file, paths) {
+  if (paths && paths.has(file)) return paths.get(file);
+  return file.webkitRelativePath || file.name;
+}
+
+// Collapse "." and ".." segments; leading ".." segments are kept
+function normalizePath(path) {
+  const segments = [];
+  path.split('/').forEach(segment => {
+    if (segment === '' || segment === '.') return;
+    if (segment === '..' && segments.length > 0 && segments[segments.length - 1] !== '..') {
+      segments.pop();
+    } else {
+      segments.push(segment);
+    }
+  });
+  return segments.join('/');
+}
+
+function getDirectory(path) {
+  const index = path.lastIndexOf('/');
+  return index === -1 ? '' : path.slice(0, index + 1);
+}
+
+// Path of `path` as seen from the folder `fromDirectory`
+function getRelativePath(fromDirectory, path) {
+  const from = normalizePath(fromDirectory).split('/').filter(Boolean);
+  const to = normalizePath(path).split('/');
+  let common = 0;
+  while (common < from.length && common < to.length - 1 && from[common] === to[common]) {
+    common++;
+  }
+  return [...from.slice(common).map(() => '..'), ...to.slice(common)].join('/');
+}
+
+// Group picked files into models. Each .gltf gets a map of the other files
+// keyed by their path relative to it, so its .bin and texture URIs resolve.
+// `paths` optionally overrides the path of a file (e.g. for dropped folders).
+export function groupModelFiles(files, paths) {
+  const entries = Array.from(files).map(file => ({ file, path: getFilePath(file, paths) }));
+  const resourceEntries = entries.filter(entry => !isModelFile(entry.path));
+
+  return entries
+    .filter(entry => isModelFile(entry.path))
+    .map(entry => {
+      const resources = new Map();
+      if (getFileExtension(entry.path) === 'gltf') {
+        const directory = getDirectory(entry.path);
+        resourceEntries.forEach(resource => {
+          resources.set(getRelativePath(directory, resource.path), resource.file);
+        });
+      }
+      return { name: getModelName(entry.path), file: entry.file, resources };
+    });
+}
+
+// Create a LoadingManager URL modifier that serves a model's external
+// resources from local blobs. `baseURL` is the folder the loader resolves
+// relative URIs against; created object URLs are added to `createdURLs`
+// so the caller can revoke them once loading is done.
+export function createResourceURLModifier(baseURL, resources, createdURLs) {
+  const urlsByPath = new Map();
+
+  // Exporters sometimes flatten folders, so fall back to a unique file name match
+  const pathsByFileName = new Map();
+  resources.forEach((blob, path) => {
+    const fileName = path.split('/').pop();
+    pathsByFileName.set(fileName, pathsByFileName.has(fileName) ? null : path);
+  });
+
+  return (url) => {
+    if (!url.startsWith(baseURL)) return url;
+
+    let path;
+    try {
+      path = normalizePath(decodeURI(url.slice(baseURL.length)));
+    } catch (error) {
+      return url;
+    }
+
+    if (!resources.has(path)) {
+      path = pathsByFileName.get(path.split('/').pop());
+      if (!path) return url;
+    }
+
+    if (!urlsByPath.has(path)) {
+      const objectURL = URL.createObjectURL(resources.get(path));
+      urlsByPath.set(path, objectURL);
+      createdURLs.push(objectURL);
+    }
+    return urlsByPath.get(path);
+  };
+}
+
+export function isArchiveFile(fileName) {
+  return getFileExtension(fileName) === 'zip';
+}
+
+function unzipFile(file) {
+  return file.arrayBuffer().then(buffer => new Promise((resolve, reject) => {
+    unzip(new Uint8Array(buffer), (error, entries) => {
+      if (error) {
+        reject(new Error(`${file.name}: ${error}`));
+      } else {
+        resolve(entries);
+      }
+    });
+  }));
+}
+
+// Replace any .zip among the files with the files it contains. Entries keep
+// their folder inside the archive, under a folder named after the archive,
+// so glTF resources still resolve. Entries that can't be opened are listed
+// in `skipped` along with archives that failed to unpack.
+export async function expandArchives(files, paths) {
+  const expandedFiles = [];
+  const expandedPaths = new Map();
+  const skipped = [];
+
+  for (const file of Array.from(files)) {
+    const path = getFilePath(file, paths);
+
+    if (!isArchiveFile(path)) {
+      expandedFiles.push(file);
+      expandedPaths.set(file, path);
+      continue;
+    }
+
+    let entries;
+    try {
+      entries = await unzipFile(file);
+    } catch (error) {
+      console.error('Error unpacking archive:', error);
+      skipped.push(`${file.name} (could not be unpacked)`);
+      continue;
+    }
+
+    const archiveFolder = path.replace(/\.zip$/i, '');
+    const entryNames = Object.keys(entries).filter(name => !name.endsWith('/') && !ARCHIVE_JUNK_PATTERN.test(name));
+    const hasGLTF = entryNames.some(name => getFileExtension(name) === 'gltf');
+
+    entryNames.forEach(name => {
+      const extension = getFileExtension(name);
+      const isResource = hasGLTF && RESOURCE_EXTENSIONS.includes(extension);
+      if (!isModelFile(name) && !isResource) {
+        skipped.push(`${file.name}: ${name}`);
+        return;
+      }
+
+      const entryFile = new File([entries[name]], name.split('/').pop());
+      expandedFiles.push(entryFile);
+      expandedPaths.set(entryFile, `${archiveFolder}/${name}`);
+    });
+  }
+
+  return { files: expandedFiles, paths: expandedPaths, skipped };
+}
@@ -0,0 +1,34 @@
+// glbExport.js
+
+import * as THREE from 'three';
+import { GLTFExporter } from 'three/addons/exporters/GLTFExporter.js';
+import { getOriginalMaterial } from './sceneOutliner.js';
+
+// Copy of a part that carries its world transform as its own, so moves
+// of the product group (e.g. AR placement) are baked in as well.
+// Geometry and materials are shared, so current colours are exported.
+// Ghosted parts are exported with their own materials.
+function createBakedCopy(container) {
+  container.updateWorldMatrix(true, false);
+  const copy = container.clone();
+  container.matrixWorld.decompose(copy.position, copy.quaternion, copy.scale);
+  copy.traverse(node => {
+    if (!node.isMesh || !node.material) return;
+    node.material = Array.isArray(node.material)
+      ? node.material.map(getOriginalMaterial)
+      : getOriginalMaterial(node.material);
+  });
+  return copy;
+}
+
+// Export parts as a binary glTF with one named node per part under a
+// root node called `name`. Hidden parts are left out. Resolves with a Blob.
+export async function exportGLB(containers, { name = 'Product' } = {}) {
+  const root = new THREE.Group();
+  root.name = name;
+  containers.forEach(container => root.add(createBakedCopy(container)));
+
+  const exporter = new GLTFExporter();
+  const result = await exporter.parseAsync(root, { binary: true, onlyVisible: true });
+  return new Blob([result], { type: 'model/gltf-binary' });
+}
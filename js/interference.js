@@ -0,0 +1,459 @@
+// interference.js
+//
+// Static fit check of the assembly as it stands: for every pair of parts,
+// whether they intersect and how deep, or else the smallest gap between
+// them. Results show in a table and as an overlay: red lines where the
+// surfaces cross with a red box around the overlap, and amber lines across
+// gaps below the warning clearance.
+
+import * as THREE from 'three';
+import {
+  ensureBoundsTree,
+  getCollisionMeshes,
+  getMeshWorldBox,
+  getClosestPoints
+} from './meshCollision.js';
+import { createPanel, createPanelHeader, createPanelCheckbox, createPrimaryButton } from './panelManager.js';
+
+// Gaps below this many metres count as touching
+const CONTACT_TOLERANCE = 0.00001;
+// Vertices tested per mesh for the penetration depth
+const MAX_DEPTH_SAMPLES = 4000;
+// Intersection segments kept per pair for the overlay
+const MAX_SEGMENTS = 20000;
+
+const OVERLAP_COLOR = 0xd00024;
+const TIGHT_COLOR = 0xf0a000;
+
+// A ray that is unlikely to run exactly along an edge
+const INSIDE_TEST_DIRECTION = new THREE.Vector3(1, 0.0013, 0.0027).normalize();
+
+function yieldToBrowser() {
+  return new Promise(resolve => setTimeout(resolve, 0));
+}
+
+// World-space segments where the surfaces of two meshes cross, appended
+// to `segments` (flat xyz pairs) up to MAX_SEGMENTS
+function collectIntersectionSegments(meshA, meshB, segments) {
+  const bvhA = ensureBoundsTree(meshA.geometry);
+  const bvhB = ensureBoundsTree(meshB.geometry);
+  const toA = new THREE.Matrix4().copy(meshA.matrixWorld).invert().multiply(meshB.matrixWorld);
+  const line = new THREE.Line3();
+  bvhA.bvhcast(bvhB, toA, {
+    intersectsTriangles(triangleA, triangleB) {
+      // Faces lying flat on each other touch rather than cross, and have no
+      // line of intersection to draw
+      const crosses = triangleA.intersectsTriangle(triangleB, line, true)
+        && Math.abs(triangleA.plane.normal.dot(triangleB.plane.normal)) <= 1 - 1e-10;
+      if (crosses) {
+        line.applyMatrix4(meshA.matrixWorld);
+        segments.push(line.start.x, line.start.y, line.start.z, line.end.x, line.end.y, line.end.z);
+      }
+      // Stop the cast once enough has been collected
+      return segments.length >= MAX_SEGMENTS * 6;
+    }
+  });
+}
+
+// How deep the vertices of meshA reach inside meshB, in world units.
+// Uses ray parity, so meshB should be closed. Returns { depth, points }
+// with the world positions of the vertices found inside.
+function measurePenetration(meshA, meshB) {
+  const bvhB = ensureBoundsTree(meshB.geometry);
+  const boxB = meshB.geometry.boundingBox;
+  const toB = new THREE.Matrix4().copy(meshB.matrixWorld).invert().multiply(meshA.matrixWorld);
+  const positions = meshA.geometry.attributes.position;
+  const stride = Math.max(1, Math.ceil(positions.count / MAX_DEPTH_SAMPLES));
+
+  const vertex = new THREE.Vector3();
+  const ray = new THREE.Ray();
+  const closest = {};
+  const points = [];
+  let depth = 0;
+  for (let index = 0; index < positions.count; index += stride) {
+    vertex.fromBufferAttribute(positions, index).applyMatrix4(toB);
+    if (!boxB.containsPoint(vertex)) continue;
+    ray.set(vertex, INSIDE_TEST_DIRECTION);
+    if (bvhB.raycast(ray, THREE.DoubleSide).length % 2 === 0) continue;
+
+    bvhB.closestPointToPoint(vertex, closest);
+    const worldVertex = vertex.clone().applyMatrix4(meshB.matrixWorld);
+    depth = Math.max(depth, worldVertex.distanceTo(closest.point.applyMatrix4(meshB.matrixWorld)));
+    points.push(worldVertex);
+  }
+  return { depth, points };
+}
+
+// Compare two parts. Returns { a, b, status, depth, clearance, segments,
+// region, closestPoints }: status is 'interference', 'contact' or 'clear';
+// depth and clearance are in metres.
+function analyzePair(containerA, containerB) {
+  const meshesA = getCollisionMeshes(containerA);
+  const meshesB = getCollisionMeshes(containerB);
+  const boxesA = meshesA.map(mesh => getMeshWorldBox(mesh));
+  const boxesB = meshesB.map(mesh => getMeshWorldBox(mesh));
+
+  const segments = [];
+  const region = new THREE.Box3();
+  let depth = 0;
+  meshesA.forEach((meshA, indexA) => {
+    meshesB.forEach((meshB, indexB) => {
+      if (!boxesA[indexA].intersectsBox(boxesB[indexB])) return;
+      collectIntersectionSegments(meshA, meshB, segments);
+      // Both ways, as either part may reach into the other
+      [measurePenetration(meshA, meshB), measurePenetration(meshB, meshA)].forEach(result => {
+        depth = Math.max(depth, result.depth);
+        result.points.forEach(point => region.expandByPoint(point));
+      });
+    });
+  });
+  for (let index = 0; index < segments.length; index += 3) {
+    region.expandByPoint(new THREE.Vector3(segments[index], segments[index + 1], segments[index + 2]));
+  }
+
+  const result = {
+    a: containerA.name,
+    b: containerB.name,
+    status: 'clear',
+    depth: 0,
+    clearance: null,
+    segments: new Float32Array(segments),
+    region: region.isEmpty() ? null : region,
+    closestPoints: null
+  };
+  if (depth > CONTACT_TOLERANCE) {
+    result.status = 'interference';
+    result.depth = depth;
+    return result;
+  }
+
+  // Nearest mesh pairs first, skipping any farther apart than the best gap
+  const pairs = [];
+  meshesA.forEach((meshA, indexA) => {
+    meshesB.forEach((meshB, indexB) => {
+      pairs.push({ meshA, meshB, distance: boxDistance(boxesA[indexA], boxesB[indexB]) });
+    });
+  });
+  pairs.sort((first, second) => first.distance - second.distance);
+  let best = null;
+  for (const pair of pairs) {
+    if (best && pair.distance >= best.distance) break;
+    const points = getClosestPoints(pair.meshA, pair.meshB, best ? best.distance : Infinity);
+    if (points && (!best || points.distance < best.distance)) best = points;
+  }
+  if (!best) return result;
+
+  result.clearance = best.distance;
+  result.closestPoints = [best.pointA, best.pointB];
+  // Crossing surfaces that don't enclose any sampled vertex still touch
+  if (best.distance <= CONTACT_TOLERANCE || segments.length > 0) {
+    result.status = 'contact';
+    result.clearance = 0;
+  }
+  return result;
+}
+
+function boxDistance(boxA, boxB) {
+  const gap = new THREE.Vector3(
+    Math.max(0, boxA.min.x - boxB.max.x, boxB.min.x - boxA.max.x),
+    Math.max(0, boxA.min.y - boxB.max.y, boxB.min.y - boxA.max.y),
+    Math.max(0, boxA.min.z - boxB.max.z, boxB.min.z - boxA.max.z)
+  );
+  return gap.length();
+}
+
+// Check every pair of `containers` in their current positions. Resolves
+// with the pair results in analyzePair's form, worst first. Options:
+// onProgress (fraction) and an AbortSignal.
+export async function analyzeInterference(containers, { onProgress, signal } = {}) {
+  containers.forEach(container => container.updateWorldMatrix(true, true));
+  const pairs = [];
+  for (let first = 0; first < containers.length; first++) {
+    for (let second = first + 1; second < containers.length; second++) {
+      pairs.push([containers[first], containers[second]]);
+    }
+  }
+
+  const results = [];
+  for (let index = 0; index < pairs.length; index++) {
+    if (signal && signal.aborted) {
+      throw new DOMException('Analysis cancelled', 'AbortError');
+    }
+    results.push(analyzePair(...pairs[index]));
+    if (onProgress) onProgress((index + 1) / pairs.length);
+    // Let the progress bar and Cancel button respond between pairs
+    await yieldToBrowser();
+  }
+
+  const order = { interference: 0, contact: 1, clear: 2 };
+  return results.sort((first, second) => (order[first.status] - order[second.status])
+    || (second.depth - first.depth)
+    || ((first.clearance ?? Infinity) - (second.clearance ?? Infinity)));
+}
+
+function formatMillimetres(metres) {
+  const millimetres = metres * 1000;
+  return `${millimetres < 10 ? millimetres.toFixed(2) : millimetres.toFixed(1)} mm`;
+}
+
+// Lines, boxes and points showing the results. Built in productGroup's
+// space and kept aligned with it, so the overlay follows when the whole
+// product is turned or placed in AR.
+class InterferenceOverlay {
+  constructor(app) {
+    this.app = app;
+    this.group = new THREE.Group();
+    this.group.name = 'interference-overlay';
+    this.group.matrixAutoUpdate = false;
+    this.group.userData.hideInCapture = true;
+  }
+
+  build(results, warnClearance, focused) {
+    this.clear();
+    const toGroup = new THREE.Matrix4().copy(this.app.productGroup.matrixWorld).invert();
+    results.forEach(result => {
+      if (focused && result !== focused) return;
+      if (result.status === 'interference' || result.segments.length > 0) {
+        this.addOverlap(result, toGroup);
+      } else if (result.closestPoints && result.clearance < warnClearance) {
+        this.addGap(result, toGroup);
+      }
+    });
+    if (this.group.children.length > 0) this.app.scene.add(this.group);
+    this.update();
+  }
+
+  addOverlap(result, toGroup) {
+    if (result.segments.length > 0) {
+      const geometry = new THREE.BufferGeometry();
+      geometry.setAttribute('position', new THREE.BufferAttribute(result.segments.slice(), 3));
+      geometry.applyMatrix4(toGroup);
+      this.group.add(this.createOnTop(new THREE.LineSegments(geometry, new THREE.LineBasicMaterial({
+        color: OVERLAP_COLOR,
+        depthTest: false
+      }))));
+    }
+    if (result.region) {
+      const region = result.region.clone().applyMatrix4(toGroup);
+      const box = new THREE.Mesh(
+        new THREE.BoxGeometry(1, 1, 1),
+        new THREE.MeshBasicMaterial({ color: OVERLAP_COLOR, transparent: true, opacity: 0.25, depthWrite: false })
+      );
+      region.getCenter(box.position);
+      // Keep flat overlaps visible
+      region.getSize(box.scale).max(new THREE.Vector3(0.0005, 0.0005, 0.0005));
+      this.group.add(box);
+    }
+  }
+
+  addGap(result, toGroup) {
+    const points = result.closestPoints.map(point => point.clone().applyMatrix4(toGroup));
+    const geometry = new THREE.BufferGeometry().setFromPoints(points);
+    this.group.add(this.createOnTop(new THREE.Line(geometry, new THREE.LineBasicMaterial({
+      color: TIGHT_COLOR,
+      depthTest: false
+    }))));
+    this.group.add(this.createOnTop(new THREE.Points(geometry, new THREE.PointsMaterial({
+      color: TIGHT_COLOR,
+      size: 6,
+      sizeAttenuation: false,
+      depthTest: false
+    }))));
+  }
+
+  createOnTop(object) {
+    object.renderOrder = 999;
+    return object;
+  }
+
+  // Follow productGroup; called from the animation loop
+  update() {
+    if (!this.group.parent) return;
+    this.group.matrix.copy(this.app.productGroup.matrixWorld);
+    this.group.matrixWorldNeedsUpdate = true;
+  }
+
+  clear() {
+    this.group.children.slice().forEach(child => {
+      child.geometry.dispose();
+      child.material.dispose();
+      this.group.remove(child);
+    });
+    this.app.scene.remove(this.group);
+  }
+}
+
+const STATUS_TEXT = {
+  interference: ['Interference', '#d00024'],
+  contact: ['Contact', '#b07000'],
+  clear: ['Clear', '#2e7d32']
+};
+
+// Floating panel with the results table, the warning clearance and the
+// overlay switch. `onAnalyze` runs the analysis and resolves with results
+// for `setResults`. Rows can be clicked to show only that pair.
+export function createInterferencePanel(app, { onAnalyze }) {
+  const overlay = new InterferenceOverlay(app);
+  let results = [];
+  let focused = null;
+  let warnClearance = 0.001;
+
+  const { element: panel, closeButton, isShown, show, hide, toggle } = createPanel({
+    onShow: refreshOverlay,
+    onHide: () => overlay.clear()
+  });
+  panel.style.right = '20px';
+  panel.style.bottom = '20px';
+  panel.style.width = '420px';
+  panel.style.maxHeight = '50vh';
+  panel.style.overflowY = 'auto';
+  panel.style.padding = '12px 16px';
+
+  const header = createPanelHeader('Interference Check', [closeButton]);
+
+  const controls = document.createElement('div');
+  controls.style.display = 'flex';
+  controls.style.alignItems = 'center';
+  controls.style.gap = '10px';
+  controls.style.margin = '8px 0';
+
+  const analyzeButton = createPrimaryButton('Analyze');
+
+  const warnLabel = document.createElement('label');
+  warnLabel.title = 'Gaps smaller than this are marked in amber';
+  warnLabel.style.fontSize = '12px';
+  warnLabel.textContent = 'Warn below ';
+  const warnInput = document.createElement('input');
+  warnInput.type = 'number';
+  warnInput.min = '0';
+  warnInput.step = '0.1';
+  warnInput.value = String(warnClearance * 1000);
+  warnInput.style.width = '56px';
+  warnInput.style.padding = '2px 4px';
+  warnLabel.appendChild(warnInput);
+  warnLabel.appendChild(document.createTextNode(' mm'));
+
+  const overlayToggle = createPanelCheckbox('Overlay', 'Mark the results in the view', () => refreshOverlay());
+  overlayToggle.element.style.fontSize = '12px';
+  overlayToggle.checkbox.checked = true;
+
+  controls.appendChild(analyzeButton);
+  controls.appendChild(warnLabel);
+  controls.appendChild(overlayToggle.element);
+
+  const summary = document.createElement('p');
+  summary.style.margin = '4px 0';
+  summary.style.fontSize = '12px';
+  summary.style.color = '#777';
+  summary.textContent = 'Checks every pair of parts in their current positions. Depths assume closed meshes.';
+
+  const table = document.createElement('table');
+  table.style.width = '100%';
+  table.style.borderCollapse = 'collapse';
+  table.style.fontSize = '13px';
+
+  panel.appendChild(header.element);
+  panel.appendChild(controls);
+  panel.appendChild(summary);
+  panel.appendChild(table);
+
+  function refreshOverlay() {
+    if (overlayToggle.checkbox.checked && isShown()) {
+      overlay.build(results, warnClearance, focused);
+    } else {
+      overlay.clear();
+    }
+  }
+
+  function describe(result) {
+    if (result.status === 'interference') return `${formatMillimetres(result.depth)} deep`;
+    if (result.status === 'contact') return 'Touching';
+    return result.clearance === null ? '–' : `${formatMillimetres(result.clearance)} gap`;
+  }
+
+  function renderTable() {
+    table.innerHTML = '';
+    if (results.length === 0) return;
+
+    const headRow = document.createElement('tr');
+    ['Parts', 'Result', 'Amount'].forEach(text => {
+      const cell = document.createElement('th');
+      cell.textContent = text;
+      cell.style.textAlign = 'left';
+      cell.style.padding = '4px';
+      cell.style.borderBottom = '1px solid #ddd';
+      headRow.appendChild(cell);
+    });
+    table.appendChild(headRow);
+
+    results.forEach(result => {
+      const row = document.createElement('tr');
+      row.style.cursor = 'pointer';
+      row.title = 'Show only this pair';
+      if (result === focused) row.style.backgroundColor = '#f5f5f5';
+
+      const [statusText, statusColor] = STATUS_TEXT[result.status];
+      const isTight = result.status === 'clear' && result.clearance !== null && result.clearance < warnClearance;
+      [
+        `${result.a} – ${result.b}`,
+        isTight ? 'Tight' : statusText,
+        describe(result)
+      ].forEach((text, index) => {
+        const cell = document.createElement('td');
+        cell.textContent = text;
+        cell.style.padding = '4px';
+        cell.style.borderBottom = '1px solid #eee';
+        if (index === 1) {
+          cell.style.color = isTight ? '#b07000' : statusColor;
+          cell.style.fontWeight = 'bold';
+        }
+        row.appendChild(cell);
+      });
+
+      row.addEventListener('click', () => {
+        focused = focused === result ? null : result;
+        renderTable();
+        refreshOverlay();
+      });
+      table.appendChild(row);
+    });
+  }
+
+  function setResults(newResults) {
+    results = newResults;
+    focused = null;
+    const overlaps = results.filter(result => result.status === 'interference').length;
+    summary.textContent = results.length === 0
+      ? 'Open at least two parts to check how they fit.'
+      : `${results.length} pairs checked, ${overlaps} interfering. Results are for the positions at the time of the check.`;
+    renderTable();
+    refreshOverlay();
+  }
+
+  analyzeButton.addEventListener('click', async () => {
+    analyzeButton.disabled = true;
+    try {
+      const newResults = await onAnalyze();
+      if (newResults) setResults(newResults);
+    } finally {
+      analyzeButton.disabled = false;
+    }
+  });
+  warnInput.addEventListener('change', () => {
+    const value = parseFloat(warnInput.value);
+    if (Number.isFinite(value) && value >= 0) warnClearance = value / 1000;
+    warnInput.value = String(warnClearance * 1000);
+    renderTable();
+    refreshOverlay();
+  });
+
+  return {
+    element: panel,
+    show,
+    hide,
+    toggle,
+    // Results refer to the parts as they were; drop them when parts change
+    reset: () => setResults([]),
+    update: () => overlay.update()
+  };
+}
@@ -0,0 +1,260 @@
+// meshCollision.js
+//
+// Triangle-accurate tests between parts, using bounding volume hierarchies
+// from three-mesh-bvh. A hierarchy is built once per geometry, the first
+// time the geometry is tested, and kept as `geometry.boundsTree`.
+
+import * as THREE from 'three';
+import { MeshBVH } from 'three-mesh-bvh';
+
+// Halvings when searching for the point of contact along a move
+const CONTACT_SEARCH_STEPS = 10;
+
+// How far below its surface the floor counts as solid, in metres
+const FLOOR_DEPTH = 100;
+
+export function ensureBoundsTree(geometry) {
+  if (!geometry.boundsTree) {
+    geometry.boundsTree = new MeshBVH(geometry);
+  }
+  return geometry.boundsTree;
+}
+
+// Visible meshes under `object` that can be tested. Instanced and skinned
+// meshes draw somewhere other than their geometry says, so they are left out.
+export function getCollisionMeshes(object) {
+  const meshes = [];
+  object.traverseVisible(node => {
+    if (node.isMesh && !node.isInstancedMesh && !node.isSkinnedMesh
+        && node.geometry && node.geometry.attributes.position) {
+      meshes.push(node);
+    }
+  });
+  return meshes;
+}
+
+// World-space bounding box of one mesh, from its geometry's box
+export function getMeshWorldBox(mesh, target = new THREE.Box3()) {
+  if (!mesh.geometry.boundingBox) mesh.geometry.computeBoundingBox();
+  return target.copy(mesh.geometry.boundingBox).applyMatrix4(mesh.matrixWorld);
+}
+
+const toMesh = new THREE.Matrix4();
+
+// True if any triangles of the two meshes intersect
+export function meshesIntersect(meshA, meshB) {
+  ensureBoundsTree(meshB.geometry);
+  toMesh.copy(meshA.matrixWorld).invert().multiply(meshB.matrixWorld);
+  return ensureBoundsTree(meshA.geometry).intersectsGeometry(meshB.geometry, toMesh);
+}
+
+// Closest points between two meshes in world space, as
+// { pointA, pointB, distance }. Intersecting meshes give a distance of 0.
+// `maxDistance` (world units) skips the search beyond that distance and
+// returns null.
+export function getClosestPoints(meshA, meshB, maxDistance = Infinity) {
+  const bvh = ensureBoundsTree(meshA.geometry);
+  if (meshB.geometry !== meshA.geometry) ensureBoundsTree(meshB.geometry);
+  toMesh.copy(meshA.matrixWorld).invert().multiply(meshB.matrixWorld);
+
+  // The search runs in meshA's space, where distances are scaled by it
+  const scale = meshA.getWorldScale(new THREE.Vector3());
+  const localMax = maxDistance / Math.min(scale.x, scale.y, scale.z);
+  const targetA = {};
+  const targetB = {};
+  const result = bvh.closestPointToGeometry(meshB.geometry, toMesh, targetA, targetB, 0, localMax);
+  if (!result) return null;
+
+  const pointA = targetA.point.clone().applyMatrix4(meshA.matrixWorld);
+  const pointB = targetB.point.clone().applyMatrix4(meshB.matrixWorld);
+  return { pointA, pointB, distance: pointA.distanceTo(pointB) };
+}
+
+// Solid slab under a floor plane such as App.createFloor makes, in the
+// floor's own space (its local z points up)
+function getFloorBox(floor) {
+  if (!floor.geometry.boundingBox) floor.geometry.computeBoundingBox();
+  const box = floor.geometry.boundingBox.clone();
+  box.min.z = -FLOOR_DEPTH;
+  box.max.z = 0;
+  return box;
+}
+
+// Collision tests for one drag: `object` against `others` and the floor.
+// The obstacles don't move during the drag, so their boxes are kept.
+export class CollisionSession {
+  constructor(object, others, floor = null) {
+    this.object = object;
+    this.meshes = getCollisionMeshes(object);
+    this.obstacles = [];
+    others.forEach(other => {
+      if (other === object) return;
+      getCollisionMeshes(other).forEach(mesh => {
+        mesh.updateWorldMatrix(true, false);
+        this.obstacles.push({ mesh, box: getMeshWorldBox(mesh) });
+      });
+    });
+    this.floor = floor && floor.parent && floor.visible ? floor : null;
+    if (this.floor) {
+      this.floor.updateWorldMatrix(true, false);
+      this.floorBox = getFloorBox(this.floor);
+      this.floorHeight = new THREE.Vector3().setFromMatrixPosition(this.floor.matrixWorld).y;
+    }
+    // The last contact found by limitMove, or null
+    this.contact = null;
+    // What the last collidesAt call hit
+    this.collision = null;
+
+    // A part that starts out intersecting something may be pulled free
+    this.ignoreCollisions = this.findCollision() !== null;
+  }
+
+  // What the object intersects where it is now: { mesh, other, isFloor }
+  // where `other` is another part's mesh or the floor, or null
+  findCollision() {
+    const meshBox = new THREE.Box3();
+    this.object.updateMatrixWorld(true);
+    for (const mesh of this.meshes) {
+      getMeshWorldBox(mesh, meshBox);
+      if (this.floor && meshBox.min.y < this.floorHeight) {
+        toMesh.copy(mesh.matrixWorld).invert().multiply(this.floor.matrixWorld);
+        if (ensureBoundsTree(mesh.geometry).intersectsBox(this.floorBox, toMesh)) {
+          return { mesh, other: this.floor, isFloor: true };
+        }
+      }
+      for (const obstacle of this.obstacles) {
+        if (meshBox.intersectsBox(obstacle.box) && meshesIntersect(mesh, obstacle.mesh)) {
+          return { mesh, other: obstacle.mesh, isFloor: false };
+        }
+      }
+    }
+    return null;
+  }
+
+  collidesAt(position) {
+    this.object.position.copy(position);
+    this.collision = this.findCollision();
+    return this.collision !== null;
+  }
+
+  // Furthest point from `from` towards `to` that is free, by halving the
+  // step. `from` must be free.
+  searchFreePosition(from, to) {
+    let free = 0;
+    let blocked = 1;
+    const position = new THREE.Vector3();
+    let collision = null;
+    for (let step = 0; step < CONTACT_SEARCH_STEPS; step++) {
+      const t = (free + blocked) / 2;
+      if (this.collidesAt(position.lerpVectors(from, to, t))) {
+        blocked = t;
+        collision = this.collision;
+      } else {
+        free = t;
+      }
+    }
+    return { position: position.lerpVectors(from, to, free), collision };
+  }
+
+  // Move from `from` (free) towards `to`, stopping at contact. A blocked
+  // move still slides along the other axes, so a part can be pushed along
+  // a surface. Returns the position to use; the object is left there.
+  limitMove(from, to) {
+    if (this.ignoreCollisions || this.meshes.length === 0) {
+      this.object.position.copy(to);
+      return to;
+    }
+    if (!this.collidesAt(to)) {
+      this.contact = null;
+      return to;
+    }
+    const blockedBy = this.collision;
+
+    let { position, collision } = this.searchFreePosition(from, to);
+    collision = collision || blockedBy;
+    ['x', 'y', 'z'].forEach(axis => {
+      if (position[axis] === to[axis]) return;
+      const slide = position.clone();
+      slide[axis] = to[axis];
+      if (!this.collidesAt(slide)) {
+        position = slide;
+        return;
+      }
+      const result = this.searchFreePosition(position, slide);
+      position = result.position;
+      collision = result.collision || collision;
+    });
+
+    this.object.position.copy(position);
+    this.object.updateMatrixWorld(true);
+    this.contact = collision;
+    return position;
+  }
+}
+
+// Marks where a dragged part touched something: a dot at the closest
+// points and a box around the part it touched. Stays after the drag so
+// the contact can be checked, until the next drag or `clear`.
+export class ContactHighlight {
+  constructor(scene) {
+    this.scene = scene;
+    this.marker = new THREE.Mesh(
+      new THREE.SphereGeometry(1, 16, 12),
+      new THREE.MeshBasicMaterial({ color: 0xd00024, depthTest: false })
+    );
+    this.marker.renderOrder = 999;
+    this.marker.userData.hideInCapture = true;
+    this.boxHelper = new THREE.BoxHelper(undefined, 0xd00024);
+    this.boxHelper.userData.hideInCapture = true;
+    this.contact = null;
+    // Contact point in the space of the touching mesh, so it follows it
+    this.localPoint = new THREE.Vector3();
+  }
+
+  // `contact` comes from CollisionSession; null clears the highlight
+  show(contact) {
+    if (!contact) {
+      this.clear();
+      return;
+    }
+    if (this.contact && this.contact.mesh === contact.mesh && this.contact.other === contact.other) {
+      this.update();
+      return;
+    }
+    const points = getClosestPoints(contact.mesh, contact.other);
+    if (!points) {
+      this.clear();
+      return;
+    }
+    this.contact = contact;
+    this.localPoint.copy(contact.mesh.worldToLocal(points.pointA.clone()));
+
+    // Big enough to see next to the part, whatever its units
+    const sphere = getMeshWorldBox(contact.mesh).getBoundingSphere(new THREE.Sphere());
+    this.marker.scale.setScalar(Math.max(sphere.radius * 0.03, 0.001));
+    this.scene.add(this.marker);
+
+    // The floor is obvious; other parts get a box
+    if (!contact.isFloor) {
+      this.boxHelper.setFromObject(contact.other);
+      this.scene.add(this.boxHelper);
+    } else {
+      this.scene.remove(this.boxHelper);
+    }
+    this.update();
+  }
+
+  // Follow the parts if they move, e.g. by undo
+  update() {
+    if (!this.contact) return;
+    this.marker.position.copy(this.localPoint).applyMatrix4(this.contact.mesh.matrixWorld);
+    if (this.boxHelper.parent) this.boxHelper.update();
+  }
+
+  clear() {
+    if (!this.contact) return;
+    this.contact = null;
+    this.scene.remove(this.marker);
+    this.scene.remove(this.boxHelper);
+  }
+}
@@ -18,7 +18,7 @@ function createModal() {
   }
 }
 
-function showModal({ title, message, countdown, buttons }) {
+export function showModal({ title, message, countdown, buttons }) {
   createModal();
 
   // Clear any previously stored interval and timeout to avoid conflicts.
@@ -111,6 +111,255 @@ export function showConfirmationModal(message) {
   });
 }
 
+export function showAlertModal(title, message) {
+  // An informational modal with a single OK button.
+  showModal({
+    title: title,
+    message: message,
+    buttons: [
+      {
+        text: 'OK',
+      },
+    ],
+  });
+}
+
+function createFormField(field) {
+  const row = document.createElement('div');
+  row.className = 'custom-modal-field';
+
+  if (field.type === 'checkboxList') {
+    const heading = document.createElement('div');
+    heading.textContent = field.label;
+    row.appendChild(heading);
+    const inputs = field.options.map(option => {
+      const label = document.createElement('label');
+      const input = document.createElement('input');
+      input.type = 'checkbox';
+      input.checked = !field.value || field.value.includes(option);
+      label.appendChild(input);
+      label.appendChild(document.createTextNode(` ${option}`));
+      row.appendChild(label);
+      return input;
+    });
+    return { row, getValue: () => field.options.filter((option, index) => inputs[index].checked) };
+  }
+
+  const label = document.createElement('label');
+  let input;
+  if (field.type === 'select') {
+    input = document.createElement('select');
+    field.options.forEach(([value, text]) => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = text;
+      input.appendChild(option);
+    });
+    input.value = field.value !== undefined ? String(field.value) : input.value;
+  } else {
+    input = document.createElement('input');
+    input.type = field.type || 'text';
+    if (field.type === 'checkbox') {
+      input.checked = !!field.value;
+    } else if (field.value !== undefined) {
+      input.value = field.value;
+    }
+    ['min', 'max', 'step'].forEach(key => {
+      if (field[key] !== undefined) input[key] = field[key];
+    });
+  }
+
+  if (field.type === 'checkbox') {
+    label.appendChild(input);
+    label.appendChild(document.createTextNode(` ${field.label}`));
+  } else {
+    label.appendChild(document.createTextNode(`${field.label} `));
+    label.appendChild(input);
+  }
+  row.appendChild(label);
+
+  const getValue = () => {
+    if (field.type === 'checkbox') return input.checked;
+    if (field.type === 'number') {
+      const number = parseFloat(input.value);
+      // Left blank: null for optional fields, else the starting value
+      if (!Number.isFinite(number)) return field.optional ? null : field.value;
+      // Keep typed values inside the allowed range
+      return Math.min(field.max ?? Infinity, Math.max(field.min ?? -Infinity, number));
+    }
+    return input.value;
+  };
+  return { row, getValue };
+}
+
+// A modal with a small form for export and capture options. Fields are
+// { name, label, type, value } with type 'checkbox', 'number' (with
+// optional min, max and step, and `optional` to give null when left
+// blank), 'select' (options as [value, text] pairs) or 'checkboxList'
+// (options are labels, value the ticked ones).
+// Resolves with the values keyed by name, or null when cancelled.
+export function showFormModal({ title, message, fields, submitText = 'OK' }) {
+  return new Promise((resolve) => {
+    const overlay = document.createElement('div');
+    overlay.className = 'custom-modal-overlay';
+    overlay.style.display = 'flex';
+
+    const modal = document.createElement('div');
+    modal.className = 'custom-modal custom-modal-form';
+
+    const titleElem = document.createElement('h3');
+    titleElem.className = 'custom-modal-title';
+    titleElem.textContent = title;
+    modal.appendChild(titleElem);
+
+    if (message) {
+      const messageElem = document.createElement('p');
+      messageElem.textContent = message;
+      modal.appendChild(messageElem);
+    }
+
+    const controls = fields.map(field => {
+      const control = createFormField(field);
+      modal.appendChild(control.row);
+      return { name: field.name, getValue: control.getValue };
+    });
+
+    let closed = false;
+    const close = (values) => {
+      // Enter on a focused button would otherwise close twice
+      if (closed) return;
+      closed = true;
+      document.removeEventListener('keydown', onKeyDown);
+      document.body.removeChild(overlay);
+      resolve(values);
+    };
+    const submit = () => {
+      const values = {};
+      controls.forEach(({ name, getValue }) => { values[name] = getValue(); });
+      close(values);
+    };
+    function onKeyDown(event) {
+      if (event.key === 'Escape') close(null);
+      if (event.key === 'Enter' && event.target.tagName !== 'SELECT') submit();
+    }
+    document.addEventListener('keydown', onKeyDown);
+
+    const buttonsElem = document.createElement('div');
+    buttonsElem.className = 'custom-modal-buttons';
+    const cancelButton = document.createElement('button');
+    cancelButton.textContent = 'Cancel';
+    cancelButton.style.margin = '0 5px';
+    cancelButton.style.background = 'rgb(153, 153, 153)';
+    cancelButton.onclick = () => close(null);
+    const submitButton = document.createElement('button');
+    submitButton.textContent = submitText;
+    submitButton.style.margin = '0 5px';
+    submitButton.onclick = submit;
+    buttonsElem.appendChild(cancelButton);
+    buttonsElem.appendChild(submitButton);
+    modal.appendChild(buttonsElem);
+
+    overlay.appendChild(modal);
+    document.body.appendChild(overlay);
+    submitButton.focus();
+  });
+}
+
+// A modal asking to pick one of several choices, given as [value, text]
+// pairs. Unlike showModal it has its own overlay, so an alert shown
+// meanwhile can't take over its buttons. Resolves with the chosen value.
+export function showChoiceModal({ title, message, choices }) {
+  return new Promise((resolve) => {
+    const overlay = document.createElement('div');
+    overlay.className = 'custom-modal-overlay';
+    overlay.style.display = 'flex';
+
+    const modal = document.createElement('div');
+    modal.className = 'custom-modal';
+
+    const titleElem = document.createElement('h3');
+    titleElem.className = 'custom-modal-title';
+    titleElem.textContent = title;
+    const messageElem = document.createElement('p');
+    messageElem.className = 'custom-modal-message';
+    messageElem.textContent = message;
+
+    const buttonsElem = document.createElement('div');
+    buttonsElem.className = 'custom-modal-buttons';
+    choices.forEach(([value, text]) => {
+      const button = document.createElement('button');
+      button.textContent = text;
+      button.style.margin = '5px';
+      button.onclick = () => {
+        document.body.removeChild(overlay);
+        resolve(value);
+      };
+      buttonsElem.appendChild(button);
+    });
+
+    modal.appendChild(titleElem);
+    modal.appendChild(messageElem);
+    modal.appendChild(buttonsElem);
+    overlay.appendChild(modal);
+    document.body.appendChild(overlay);
+  });
+}
+
+// A modal showing the progress of a long task such as a recording.
+// Returns { setProgress(fraction, text), close() }; the Cancel button
+// calls `onCancel` and leaves closing to the caller.
+export function showProgressModal(title, onCancel) {
+  const overlay = document.createElement('div');
+  overlay.className = 'custom-modal-overlay';
+  overlay.style.display = 'flex';
+
+  const modal = document.createElement('div');
+  modal.className = 'custom-modal';
+
+  const titleElem = document.createElement('h3');
+  titleElem.className = 'custom-modal-title';
+  titleElem.textContent = title;
+
+  const bar = document.createElement('progress');
+  bar.max = 1;
+  bar.value = 0;
+  bar.style.width = '100%';
+  bar.style.marginTop = '15px';
+
+  const textElem = document.createElement('div');
+  textElem.className = 'custom-modal-timer';
+
+  modal.appendChild(titleElem);
+  modal.appendChild(bar);
+  modal.appendChild(textElem);
+
+  if (onCancel) {
+    const buttonsElem = document.createElement('div');
+    buttonsElem.className = 'custom-modal-buttons';
+    const cancelButton = document.createElement('button');
+    cancelButton.textContent = 'Cancel';
+    cancelButton.onclick = () => {
+      cancelButton.disabled = true;
+      onCancel();
+    };
+    buttonsElem.appendChild(cancelButton);
+    modal.appendChild(buttonsElem);
+  }
+
+  overlay.appendChild(modal);
+  document.body.appendChild(overlay);
+
+  return {
+    setProgress(fraction, text = `${Math.round(fraction * 100)}%`) {
+      bar.value = Math.min(1, Math.max(0, fraction));
+      textElem.textContent = text;
+    },
+    close() {
+      if (overlay.parentNode) overlay.parentNode.removeChild(overlay);
+    }
+  };
+}
+
 // Inject modal CSS.
 const style = document.createElement('style');
 style.textContent = `
@@ -152,6 +401,31 @@ style.textContent = `
 .custom-modal-buttons button:hover {
   background: #b0001d;
 }
+.custom-modal-form {
+  width: auto;
+  min-width: 300px;
+  max-width: 90vw;
+  max-height: 80vh;
+  overflow-y: auto;
+  text-align: left;
+}
+.custom-modal-form .custom-modal-buttons {
+  margin-top: 20px;
+  text-align: right;
+}
+.custom-modal-field {
+  display: flex;
+  flex-direction: column;
+  gap: 4px;
+  margin-top: 12px;
+  font-size: 14px;
+}
+.custom-modal-field input[type="number"],
+.custom-modal-field select {
+  padding: 4px 6px;
+  border: 1px solid #ccc;
+  border-radius: 4px;
+}
 .custom-modal-timer {
   margin: 10px;
   font-size: small;
@@ -0,0 +1,275 @@
+// modelLoaders.js
+
+import * as THREE from 'three';
+import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
+import { STLLoader } from 'three/addons/loaders/STLLoader.js';
+import { OBJLoader } from 'three/addons/loaders/OBJLoader.js';
+import { PLYLoader } from 'three/addons/loaders/PLYLoader.js';
+import { ThreeMFLoader } from 'three/addons/loaders/3MFLoader.js';
+import { DRACOLoader } from 'three/addons/loaders/DRACOLoader.js';
+import { KTX2Loader } from 'three/addons/loaders/KTX2Loader.js';
+import { MeshoptDecoder } from 'three/addons/libs/meshopt_decoder.module.js';
+import { unzipSync } from 'three/addons/libs/fflate.module.js';
+
+// Decoder binaries are served from our own assets folder (copied from three@0.160.0)
+const DRACO_DECODER_PATH = './assets/libs/draco/';
+const BASIS_TRANSCODER_PATH = './assets/libs/basis/';
+
+// Formats loadModelObject can open
+export const MODEL_FORMATS = ['glb', 'gltf', 'stl', 'obj', 'ply', '3mf'];
+
+// STL and 3MF come from CAD: Z-up, while the viewer is Y-up in metres
+// like glTF. STL has no units and is taken to be in millimetres; 3MF
+// declares its unit, millimetres by default.
+const CAD_FORMATS = ['stl', '3mf'];
+const MILLIMETRES_TO_METRES = 0.001;
+const THREE_MF_UNIT_SCALES = {
+  micron: 0.000001,
+  millimeter: 0.001,
+  centimeter: 0.01,
+  inch: 0.0254,
+  foot: 0.3048,
+  meter: 1
+};
+
+// Colour for formats that carry no materials
+const DEFAULT_MATERIAL_COLOR = 0xb4b4b4;
+
+// glTF extensions the loader can handle once the decoders above are attached
+const SUPPORTED_GLTF_EXTENSIONS = [
+  'KHR_draco_mesh_compression',
+  'KHR_lights_punctual',
+  'KHR_materials_anisotropy',
+  'KHR_materials_clearcoat',
+  'KHR_materials_emissive_strength',
+  'KHR_materials_ior',
+  'KHR_materials_iridescence',
+  'KHR_materials_sheen',
+  'KHR_materials_specular',
+  'KHR_materials_transmission',
+  'KHR_materials_unlit',
+  'KHR_materials_volume',
+  'KHR_mesh_quantization',
+  'KHR_texture_basisu',
+  'KHR_texture_transform',
+  'EXT_materials_bump',
+  'EXT_mesh_gpu_instancing',
+  'EXT_meshopt_compression',
+  'EXT_texture_avif',
+  'EXT_texture_webp'
+];
+
+// Readable names for the extensions that need a decoder
+const COMPRESSION_NAMES = {
+  KHR_draco_mesh_compression: 'Draco mesh compression',
+  EXT_meshopt_compression: 'Meshopt compression',
+  KHR_texture_basisu: 'KTX2 / Basis texture compression',
+  EXT_texture_webp: 'WebP textures',
+  EXT_texture_avif: 'AVIF textures'
+};
+
+// Create a GLTFLoader with Draco, Meshopt and KTX2 decoders attached.
+// The renderer is needed so KTX2 can pick a GPU texture format.
+export function createGLTFLoader(manager, renderer) {
+  const dracoLoader = new DRACOLoader(manager);
+  dracoLoader.setDecoderPath(DRACO_DECODER_PATH);
+
+  const ktx2Loader = new KTX2Loader(manager);
+  ktx2Loader.setTranscoderPath(BASIS_TRANSCODER_PATH);
+  ktx2Loader.detectSupport(renderer);
+
+  const gltfLoader = new GLTFLoader(manager);
+  gltfLoader.setDRACOLoader(dracoLoader);
+  gltfLoader.setKTX2Loader(ktx2Loader);
+  gltfLoader.setMeshoptDecoder(MeshoptDecoder);
+
+  return gltfLoader;
+}
+
+// Create the loaders for every supported format, keyed by format
+export function createModelLoaders(manager, renderer) {
+  const gltfLoader = createGLTFLoader(manager, renderer);
+  return {
+    glb: gltfLoader,
+    gltf: gltfLoader,
+    stl: new STLLoader(manager),
+    obj: new OBJLoader(manager),
+    ply: new PLYLoader(manager),
+    '3mf': new ThreeMFLoader(manager)
+  };
+}
+
+export function getFormatFromFileName(fileName) {
+  const match = /\.([^./\\?#]+)(?:[?#].*)?$/.exec(fileName || '');
+  const extension = match ? match[1].toLowerCase() : '';
+  return MODEL_FORMATS.includes(extension) ? extension : null;
+}
+
+// Work out the format of a model file from its first bytes, falling back to
+// the file extension when the content is not conclusive.
+export async function detectModelFormat(blob, fileName) {
+  const header = new Uint8Array(await blob.slice(0, 84).arrayBuffer());
+  const text = new TextDecoder().decode(header.subarray(0, 80));
+
+  if (text.startsWith('glTF')) return 'glb';
+  // Archives are unpacked before loading, so a zip here is a 3MF package
+  if (header[0] === 0x50 && header[1] === 0x4b && header[2] === 0x03 && header[3] === 0x04) return '3mf';
+  if (/^ply\r?\n/.test(text)) return 'ply';
+
+  // Binary STL: 80 byte header, triangle count, then 50 bytes per triangle.
+  // Checked before the ASCII form since some exporters start the header with "solid".
+  if (header.length === 84) {
+    const triangleCount = new DataView(header.buffer).getUint32(80, true);
+    if (84 + triangleCount * 50 === blob.size) return 'stl';
+  }
+  if (/^\s*solid\b/.test(text)) return 'stl';
+  if (/^\s*\{/.test(text)) return 'gltf';
+
+  const formatFromName = getFormatFromFileName(fileName);
+  if (formatFromName) return formatFromName;
+
+  // OBJ is plain text without a signature, so look for its usual statements
+  if (/^\s*(#|v |vn |vt |o |g |mtllib |usemtl )/m.test(text)) return 'obj';
+  return null;
+}
+
+// Give loaded meshes standard materials that respond to the environment
+// map like glTF materials do and can be recoloured by name. Meshes whose
+// materials share a name (all unnamed ones are "Default") share one
+// standard material, so recolouring a name reaches every mesh using it.
+function applyDefaultMaterials(object) {
+  const standardMaterials = new Map();
+  object.traverse(node => {
+    if (!node.isMesh) return;
+
+    const hasVertexColors = !!node.geometry.getAttribute('color');
+    const materials = Array.isArray(node.material) ? node.material : [node.material];
+    const replacements = materials.map(material => {
+      const named = material && material.name && material.name !== THREE.Loader.DEFAULT_MATERIAL_NAME;
+      const name = named ? material.name : 'Default';
+      const key = `${name}/${hasVertexColors}`;
+      let standardMaterial = standardMaterials.get(key);
+      if (!standardMaterial) {
+        let color = named && material.color ? material.color : DEFAULT_MATERIAL_COLOR;
+        // Vertex colours are multiplied by the material colour
+        if (hasVertexColors) color = 0xffffff;
+        standardMaterial = new THREE.MeshStandardMaterial({
+          name: name,
+          color: color,
+          map: material && material.map ? material.map : null,
+          vertexColors: hasVertexColors,
+          roughness: 0.6,
+          metalness: 0.1
+        });
+        standardMaterials.set(key, standardMaterial);
+      }
+      if (material && material.dispose) material.dispose();
+      return standardMaterial;
+    });
+    node.material = Array.isArray(node.material) ? replacements : replacements[0];
+  });
+}
+
+// The `unit` of the root model in a 3MF package. ThreeMFLoader reads it
+// but does not return it.
+function read3MFUnit(buffer) {
+  const files = unzipSync(new Uint8Array(buffer), {
+    filter: file => file.name === '_rels/.rels' || /\.model$/i.test(file.name)
+  });
+  const decoder = new TextDecoder();
+  let modelPath = Object.keys(files).find(name => name !== '_rels/.rels');
+  if (files['_rels/.rels']) {
+    const match = /Target="\/?([^"]+\.model)"/i.exec(decoder.decode(files['_rels/.rels']));
+    if (match && files[match[1]]) modelPath = match[1];
+  }
+  if (!modelPath) return null;
+  const match = /<model\b[^>]*\bunit\s*=\s*["']([a-z]+)["']/i.exec(decoder.decode(files[modelPath]));
+  return match ? match[1] : null;
+}
+
+// Wrap a geometry-only result (STL, PLY) in a mesh, or a point cloud for
+// PLY scans without faces
+function createObjectFromGeometry(geometry, format) {
+  if (format === 'ply' && !geometry.index) {
+    const pointsMaterial = new THREE.PointsMaterial({
+      size: 0.005,
+      vertexColors: !!geometry.getAttribute('color')
+    });
+    return new THREE.Points(geometry, pointsMaterial);
+  }
+  if (!geometry.getAttribute('normal')) {
+    geometry.computeVertexNormals();
+  }
+  return new THREE.Mesh(geometry, new THREE.MeshStandardMaterial());
+}
+
+// Load a model with the loader for its format. Resolves with the root
+// object of the model and, for glTF, the full glTF result.
+export async function loadModelObject(loaders, url, format) {
+  const loader = loaders[format];
+  if (!loader) {
+    throw new Error(`Unsupported model format: ${format}`);
+  }
+
+  let result;
+  let unitScale = MILLIMETRES_TO_METRES;
+  if (format === '3mf') {
+    // Fetched here so the unit can be read from the same bytes
+    const fileLoader = new THREE.FileLoader(loader.manager);
+    fileLoader.setResponseType('arraybuffer');
+    const buffer = await fileLoader.loadAsync(url);
+    result = loader.parse(buffer);
+    unitScale = THREE_MF_UNIT_SCALES[read3MFUnit(buffer)] || MILLIMETRES_TO_METRES;
+  } else {
+    result = await loader.loadAsync(url);
+  }
+
+  if (format === 'glb' || format === 'gltf') {
+    return { object: result.scene, gltf: result };
+  }
+
+  const object = result.isBufferGeometry ? createObjectFromGeometry(result, format) : result;
+  object.name = object.name || format.toUpperCase();
+  applyDefaultMaterials(object);
+
+  if (CAD_FORMATS.includes(format)) {
+    object.rotation.x = -Math.PI / 2;
+    object.scale.setScalar(unitScale);
+  }
+  return { object, gltf: null };
+}
+
+// Return the required extensions of a loaded glTF that we cannot decode.
+// GLTFLoader only warns about these, so the model may appear incomplete.
+export function getUnsupportedExtensions(gltf) {
+  const json = gltf && gltf.parser && gltf.parser.json;
+  if (!json || !Array.isArray(json.extensionsRequired)) return [];
+
+  return json.extensionsRequired.filter(name => !SUPPORTED_GLTF_EXTENSIONS.includes(name));
+}
+
+// Turn a loader error into a message for the user, or null if the error
+// is not related to compression or an unsupported extension.
+export function describeModelLoadError(error) {
+  const text = (error && error.message) || String(error);
+
+  if (/DRACO|draco/.test(text)) {
+    return `This file uses ${COMPRESSION_NAMES.KHR_draco_mesh_compression}, which could not be decoded.`;
+  }
+  if (/Meshopt|meshopt/.test(text)) {
+    return `This file uses ${COMPRESSION_NAMES.EXT_meshopt_compression}, which could not be decoded.`;
+  }
+  if (/KTX2|Basis|basis/.test(text)) {
+    return `This file uses ${COMPRESSION_NAMES.KHR_texture_basisu}, which could not be decoded on this device.`;
+  }
+  if (/WebP/.test(text)) {
+    return `This file uses ${COMPRESSION_NAMES.EXT_texture_webp}, which this browser does not support.`;
+  }
+  if (/AVIF/.test(text)) {
+    return `This file uses ${COMPRESSION_NAMES.EXT_texture_avif}, which this browser does not support.`;
+  }
+  if (/Unsupported glTF-Binary header|Legacy binary file/.test(text)) {
+    return 'This file is not a supported glTF 2.0 binary.';
+  }
+  return null;
+}
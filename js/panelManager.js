@@ -0,0 +1,120 @@
+// panelManager.js
+//
+// The floating tool panels (explode, animation, transform, constraints,
+// interference, outliner) share their look and their show/hide handling
+// through these helpers.
+
+// A white floating panel, hidden until shown. Callers position and size
+// `element`. `display` is what showing sets ('flex' for single-row
+// toolbars), `pill` rounds the ends, and `closeButton` hides the panel or
+// calls `onClose` instead. `onShow` and `onHide` run after the change.
+export function createPanel({ display = 'block', pill = false, closeTitle = 'Close', onClose, onShow, onHide } = {}) {
+  const panel = document.createElement('div');
+  panel.style.position = 'fixed';
+  panel.style.zIndex = '1000';
+  panel.style.display = 'none';
+  if (display === 'flex') panel.style.alignItems = 'center';
+  panel.style.backgroundColor = 'white';
+  panel.style.borderRadius = pill ? '9999px' : '8px';
+  panel.style.boxShadow = '0 4px 12px rgba(0,0,0,0.2)';
+  panel.style.fontSize = '14px';
+
+  const isShown = () => panel.style.display !== 'none';
+  const show = () => {
+    panel.style.display = display;
+    if (onShow) onShow();
+  };
+  const hide = () => {
+    panel.style.display = 'none';
+    if (onHide) onHide();
+  };
+
+  const closeButton = createIconButton('fa-solid fa-xmark', closeTitle);
+  closeButton.addEventListener('click', () => (onClose ? onClose() : hide()));
+
+  return {
+    element: panel,
+    closeButton,
+    isShown,
+    show,
+    hide,
+    toggle: () => (isShown() ? hide() : show())
+  };
+}
+
+// Title row with buttons on the right. `title` can be changed later.
+export function createPanelHeader(text, buttons) {
+  const header = document.createElement('div');
+  header.style.display = 'flex';
+  header.style.alignItems = 'center';
+  header.style.gap = '6px';
+  const title = document.createElement('strong');
+  title.textContent = text;
+  title.style.flex = '1';
+  title.style.overflow = 'hidden';
+  title.style.textOverflow = 'ellipsis';
+  title.style.whiteSpace = 'nowrap';
+  header.appendChild(title);
+  buttons.forEach(button => header.appendChild(button));
+  return { element: header, title };
+}
+
+// Borderless Font Awesome icon button
+export function createIconButton(iconClass, tooltip) {
+  const button = document.createElement('button');
+  button.innerHTML = `<i class="${iconClass}"></i>`;
+  button.title = tooltip;
+  button.style.border = 'none';
+  button.style.background = 'none';
+  button.style.padding = '4px 6px';
+  button.style.color = '#666';
+  button.style.cursor = 'pointer';
+  return button;
+}
+
+// Small outlined text button; see `setButtonActive` for toggles
+export function createPanelButton(text, tooltip) {
+  const button = document.createElement('button');
+  button.textContent = text;
+  button.title = tooltip;
+  button.style.border = '1px solid #ccc';
+  button.style.borderRadius = '4px';
+  button.style.padding = '4px 8px';
+  button.style.cursor = 'pointer';
+  return button;
+}
+
+// The panel's main action, in the brand colour
+export function createPrimaryButton(text) {
+  const button = document.createElement('button');
+  button.textContent = text;
+  button.style.border = 'none';
+  button.style.borderRadius = '9999px';
+  button.style.padding = '6px 16px';
+  button.style.backgroundColor = '#d00024';
+  button.style.color = 'white';
+  button.style.cursor = 'pointer';
+  return button;
+}
+
+export function setButtonActive(button, active) {
+  button.style.backgroundColor = active ? '#d00024' : 'white';
+  button.style.borderColor = active ? '#d00024' : '#ccc';
+  button.style.color = active ? 'white' : '#333';
+}
+
+export function createPanelCheckbox(text, tooltip, onToggle) {
+  const label = document.createElement('label');
+  label.title = tooltip;
+  label.style.display = 'flex';
+  label.style.alignItems = 'center';
+  label.style.gap = '4px';
+  label.style.whiteSpace = 'nowrap';
+  const checkbox = document.createElement('input');
+  checkbox.type = 'checkbox';
+  checkbox.style.accentColor = '#d00024';
+  checkbox.addEventListener('change', () => onToggle(checkbox.checked));
+  label.appendChild(checkbox);
+  label.appendChild(document.createTextNode(text));
+  return { element: label, checkbox };
+}
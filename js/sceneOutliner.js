@@ -0,0 +1,343 @@
+// sceneOutliner.js
+//
+// Tree of the parts in productGroup and the nodes inside them, to show
+// and hide them, isolate one, or ghost everything else to see inside an
+// assembly. Clicking a row selects the part and frames the node.
+
+import { createPanel, createPanelHeader, createIconButton, createPanelButton } from './panelManager.js';
+
+// Opacity of ghosted parts, relative to their own
+const GHOST_OPACITY = 0.15;
+
+// Ghosted parts draw with a see-through copy of each material, shared by
+// every mesh using the original. `userData.ghostOf` points back to the
+// original, so colour changes and exports can use the real material.
+const ghostMaterials = new WeakMap();
+
+function getGhostMaterial(material) {
+  let ghost = ghostMaterials.get(material);
+  if (!ghost) {
+    ghost = material.clone();
+    ghost.transparent = true;
+    ghost.opacity = material.opacity * GHOST_OPACITY;
+    ghost.depthWrite = false;
+    ghost.userData.ghostOf = material;
+    ghostMaterials.set(material, ghost);
+  }
+  return ghost;
+}
+
+// The material to use in place of `material`, which may be a ghost
+export function getOriginalMaterial(material) {
+  return material.userData.ghostOf || material;
+}
+
+// True if `object` and all its ancestors are visible
+function isShown(object) {
+  for (let node = object; node; node = node.parent) {
+    if (!node.visible) return false;
+  }
+  return true;
+}
+
+function isInside(object, ancestor) {
+  for (let node = object; node; node = node.parent) {
+    if (node === ancestor) return true;
+  }
+  return false;
+}
+
+// Whether a raycast hit on `object` should count: hidden and ghosted
+// meshes are looked through
+export function isPickable(object) {
+  if (!isShown(object)) return false;
+  const material = Array.isArray(object.material) ? object.material[0] : object.material;
+  return !(material && material.userData.ghostOf);
+}
+
+// Visibility, isolation and ghosting of the parts. At most one node is in
+// focus at a time, either isolated (everything else hidden) or with
+// everything else ghosted.
+export class SceneOutliner {
+  constructor(app) {
+    this.app = app;
+    // { object, mode: 'isolate' | 'ghost' } or null
+    this.focus = null;
+    // Objects hidden by isolate, with the visibility to put back
+    this.isolatedHidden = new Map();
+    // Ghosted mesh -> its own material (or array of materials)
+    this.ghostedMeshes = new Map();
+    this.onChange = null;
+  }
+
+  // Part containers, in the order they were added
+  getParts() {
+    return this.app.productGroup.children.filter(child => child.userData.isDraggable);
+  }
+
+  // The part container `object` belongs to, or null
+  getPart(object) {
+    for (let node = object; node; node = node.parent) {
+      if (node.userData.isDraggable && node.parent === this.app.productGroup) return node;
+    }
+    return null;
+  }
+
+  setVisible(object, visible) {
+    object.visible = visible;
+    // Hiding the focused node leaves nothing to focus on
+    if (!visible && this.focus && isInside(this.focus.object, object)) this.clearFocus();
+    this.notify();
+  }
+
+  // Hide everything but `object`, or show it all again if it is already
+  // isolated
+  isolate(object) {
+    if (this.focus && this.focus.object === object && this.focus.mode === 'isolate') {
+      this.clearFocus();
+      this.notify();
+      return;
+    }
+    this.clearFocus();
+    // Siblings of the node and of each of its ancestors within productGroup
+    for (let node = object; node && node !== this.app.productGroup; node = node.parent) {
+      node.parent.children.forEach(sibling => {
+        if (sibling === node || !sibling.visible) return;
+        if (node.parent === this.app.productGroup && !sibling.userData.isDraggable) return;
+        this.isolatedHidden.set(sibling, true);
+        sibling.visible = false;
+      });
+      if (!node.visible) {
+        this.isolatedHidden.set(node, false);
+        node.visible = true;
+      }
+    }
+    this.focus = { object, mode: 'isolate' };
+    this.notify();
+  }
+
+  // Make everything but `object` see-through, or solid again if it is
+  // already the ghosting focus
+  ghostOthers(object) {
+    if (this.focus && this.focus.object === object && this.focus.mode === 'ghost') {
+      this.clearFocus();
+      this.notify();
+      return;
+    }
+    this.clearFocus();
+    this.focus = { object, mode: 'ghost' };
+    this.applyGhosting();
+    this.notify();
+  }
+
+  applyGhosting() {
+    const object = this.focus.object;
+    this.getParts().forEach(part => {
+      part.traverse(node => {
+        if (!node.isMesh || !node.material || this.ghostedMeshes.has(node) || isInside(node, object)) return;
+        this.ghostedMeshes.set(node, node.material);
+        node.material = Array.isArray(node.material)
+          ? node.material.map(getGhostMaterial)
+          : getGhostMaterial(node.material);
+      });
+    });
+  }
+
+  restoreGhosting() {
+    this.ghostedMeshes.forEach((material, mesh) => { mesh.material = material; });
+    this.ghostedMeshes.clear();
+  }
+
+  clearFocus() {
+    if (!this.focus) return;
+    this.restoreGhosting();
+    this.isolatedHidden.forEach((visible, object) => { object.visible = visible; });
+    this.isolatedHidden.clear();
+    this.focus = null;
+  }
+
+  // Show every part and node again
+  showAll() {
+    this.clearFocus();
+    this.getParts().forEach(part => part.traverse(node => { node.visible = true; }));
+    this.notify();
+  }
+
+  // Select the part `object` belongs to and frame `object`
+  select(object) {
+    const part = this.getPart(object);
+    if (!part) return;
+    if (this.app.transformGizmo && !this.app.renderer.xr.isPresenting) {
+      this.app.transformGizmo.select(part);
+    }
+    if (isShown(object)) this.app.frameObject(object);
+    this.notify();
+  }
+
+  // Parts were added or removed; keep the focus and ghosting consistent
+  refresh() {
+    if (this.focus) {
+      if (!this.getPart(this.focus.object)) {
+        this.clearFocus();
+      } else if (this.focus.mode === 'ghost') {
+        // Removed parts get their own materials back, new ones are ghosted
+        this.restoreGhosting();
+        this.applyGhosting();
+      }
+    }
+    this.notify();
+  }
+
+  // Ghost materials follow colour changes made to the originals
+  update() {
+    this.ghostedMeshes.forEach((material, mesh) => {
+      const ghosts = Array.isArray(mesh.material) ? mesh.material : [mesh.material];
+      ghosts.forEach(ghost => {
+        if (ghost.color && ghost.userData.ghostOf) ghost.color.copy(ghost.userData.ghostOf.color);
+      });
+    });
+  }
+
+  notify() {
+    if (this.onChange) this.onChange();
+  }
+}
+
+function getNodeLabel(node) {
+  if (node.name) return node.name;
+  if (node.isMesh) return 'Mesh';
+  return node.type === 'Object3D' ? 'Node' : node.type;
+}
+
+// Floating panel with the outliner tree. Parts start collapsed; only
+// expanded nodes are built, so large hierarchies stay quick.
+export function createOutlinerPanel(outliner) {
+  const expanded = new WeakSet();
+  let selectedPart = null;
+
+  const { element: panel, closeButton, isShown, show, hide, toggle } = createPanel({ onShow: render });
+  panel.style.top = '80px';
+  panel.style.left = '10px';
+  panel.style.width = '280px';
+  panel.style.maxHeight = '50vh';
+  panel.style.overflowY = 'auto';
+  panel.style.padding = '12px 12px';
+
+  const showAllButton = createPanelButton('Show All', 'Show every part and end isolate or ghosting');
+  showAllButton.style.padding = '2px 8px';
+  showAllButton.addEventListener('click', () => outliner.showAll());
+  const header = createPanelHeader('Parts', [showAllButton, closeButton]);
+
+  const tree = document.createElement('div');
+  tree.style.marginTop = '8px';
+
+  panel.appendChild(header.element);
+  panel.appendChild(tree);
+
+  function createRow(node, depth) {
+    const row = document.createElement('div');
+    row.style.display = 'flex';
+    row.style.alignItems = 'center';
+    row.style.paddingLeft = `${depth * 14}px`;
+    row.style.borderRadius = '4px';
+    row.style.cursor = 'pointer';
+    if (node === selectedPart) row.style.backgroundColor = '#fbe5e9';
+
+    const children = node.children.filter(child => child.isObject3D);
+    const caret = createIconButton(
+      expanded.has(node) ? 'fa-solid fa-caret-down' : 'fa-solid fa-caret-right',
+      expanded.has(node) ? 'Collapse' : 'Expand');
+    caret.style.width = '20px';
+    caret.style.padding = '2px 4px';
+    caret.style.visibility = children.length > 0 ? 'visible' : 'hidden';
+    caret.addEventListener('click', (event) => {
+      event.stopPropagation();
+      if (expanded.has(node)) {
+        expanded.delete(node);
+      } else {
+        expanded.add(node);
+      }
+      render();
+    });
+
+    const eye = createIconButton(node.visible ? 'fa-solid fa-eye' : 'fa-solid fa-eye-slash',
+      node.visible ? 'Hide' : 'Show');
+    eye.addEventListener('click', (event) => {
+      event.stopPropagation();
+      outliner.setVisible(node, !node.visible);
+    });
+
+    const label = document.createElement('span');
+    label.textContent = getNodeLabel(node);
+    label.title = label.textContent;
+    label.style.flex = '1';
+    label.style.overflow = 'hidden';
+    label.style.textOverflow = 'ellipsis';
+    label.style.whiteSpace = 'nowrap';
+    label.style.color = isShown(node) ? '#333' : '#aaa';
+    if (depth === 0) label.style.fontWeight = 'bold';
+
+    const focus = outliner.focus && outliner.focus.object === node ? outliner.focus.mode : null;
+    const isolateButton = createIconButton('fa-solid fa-crosshairs',
+      focus === 'isolate' ? 'Show the others again' : 'Isolate');
+    isolateButton.addEventListener('click', (event) => {
+      event.stopPropagation();
+      outliner.isolate(node);
+    });
+    const ghostButton = createIconButton('fa-solid fa-ghost',
+      focus === 'ghost' ? 'Make the others solid again' : 'Ghost others');
+    ghostButton.addEventListener('click', (event) => {
+      event.stopPropagation();
+      outliner.ghostOthers(node);
+    });
+    if (focus === 'isolate') isolateButton.style.color = '#d00024';
+    if (focus === 'ghost') ghostButton.style.color = '#d00024';
+
+    row.appendChild(caret);
+    row.appendChild(eye);
+    row.appendChild(label);
+    row.appendChild(isolateButton);
+    row.appendChild(ghostButton);
+    row.addEventListener('click', () => outliner.select(node));
+    tree.appendChild(row);
+
+    if (expanded.has(node)) {
+      children.forEach(child => createRow(child, depth + 1));
+    }
+  }
+
+  function render() {
+    if (!isShown()) return;
+    const scrollTop = panel.scrollTop;
+    tree.innerHTML = '';
+    const parts = outliner.getParts();
+    if (parts.length === 0) {
+      const empty = document.createElement('p');
+      empty.textContent = 'No parts are open.';
+      empty.style.margin = '4px 0';
+      empty.style.color = '#777';
+      tree.appendChild(empty);
+    }
+    parts.forEach(part => createRow(part, 0));
+    panel.scrollTop = scrollTop;
+  }
+
+  outliner.onChange = render;
+
+  return {
+    element: panel,
+    show,
+    hide,
+    toggle,
+    // Follow selection by clicking in the view and colour changes
+    update() {
+      outliner.update();
+      const gizmo = outliner.app.transformGizmo;
+      const part = gizmo ? gizmo.object : null;
+      if (part !== selectedPart) {
+        selectedPart = part;
+        render();
+      }
+    }
+  };
+}
@@ -0,0 +1,80 @@
+// session.js
+//
+// Session files are JSON documents recording a review state:
+//
+//   {
+//     "format": "product-viewer-session",
+//     "version": 2,
+//     "savedAt": "2025-07-14T15:30:12.000Z",
+//     "models": [ { "name", "url" | "upload" (with "revisionId"), "format", "units",
+//                   "position", "quaternion", "scale",
+//                   "colors": { "<material name>": "#rrggbb" } } ],
+//     "camera": { "position": [x, y, z], "target": [x, y, z] },
+//     "animation": { "states": [...] }   // since version 2, see assemblyAnimation.js
+//   }
+//
+// Model entries are the ones of view links (see deepLink.js), except that
+// "colors" lists every named material rather than only the changed ones.
+//
+// Versioning: new optional fields may be added without a format change
+// and only bump "version". Readers ignore fields they don't know, so an
+// older viewer still opens a newer session as far as it understands it.
+// A change that older readers would misread must use a new "format".
+
+import { getMaterialsByName } from './uiControls.js';
+import { captureViewState, sanitizeViewState } from './deepLink.js';
+import { parseAnimationData } from './assemblyAnimation.js';
+
+export const SESSION_FORMAT = 'product-viewer-session';
+export const SESSION_VERSION = 2;
+
+// Every named material colour of each model, keyed by model name
+function captureMaterialColors(app) {
+  const colorsByModel = new Map();
+  getMaterialsByName(app).forEach(({ model, material }) => {
+    if (!material.name || !material.color) return;
+    if (!colorsByModel.has(model)) colorsByModel.set(model, {});
+    colorsByModel.get(model)[material.name] = '#' + material.color.getHexString();
+  });
+  return colorsByModel;
+}
+
+export function createSession(app) {
+  const view = captureViewState(app);
+  const colorsByModel = captureMaterialColors(app);
+
+  return {
+    format: SESSION_FORMAT,
+    version: SESSION_VERSION,
+    savedAt: new Date().toISOString(),
+    models: view.models.map(model => {
+      const { colors, ...rest } = model;
+      const allColors = colorsByModel.get(model.name);
+      return allColors ? { ...rest, colors: allColors } : rest;
+    }),
+    camera: view.camera,
+    animation: app.assemblyAnimation.toJSON()
+  };
+}
+
+// Check a parsed session document and turn it into a view state for
+// App.openViewState, with the animation states under `animation`.
+// Throws when the document is not a usable session.
+export function parseSession(data) {
+  if (!data || typeof data !== 'object' || data.format !== SESSION_FORMAT) {
+    throw new Error('This is not a viewer session file.');
+  }
+  if (!Number.isInteger(data.version) || data.version < 1) {
+    throw new Error('The session file has no valid version.');
+  }
+  if (data.version > SESSION_VERSION) {
+    console.warn(`Session version ${data.version} is newer than this viewer (${SESSION_VERSION}); reading what it can.`);
+  }
+
+  const state = sanitizeViewState(data);
+  if (!state) {
+    throw new Error('The session does not contain any models that can be opened.');
+  }
+  state.animation = { states: parseAnimationData(data.animation) };
+  return state;
+}
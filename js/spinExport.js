@@ -0,0 +1,163 @@
+// spinExport.js
+//
+// Renders a 360° image sequence for image-based product spinners and
+// packages it as a ZIP:
+//
+//   frames/frame-001.png … frame-NNN.png   views at evenly spaced angles
+//   spritesheet.png                        optional, all frames in a grid
+//   spin.json                              descriptor, see createDescriptor
+
+import * as THREE from 'three';
+import { zipSync } from 'three/addons/libs/fflate.module.js';
+import { beginCapture, canvasToBlob } from './capture.js';
+
+export const SPIN_FORMAT = 'product-viewer-spin';
+export const SPIN_VERSION = 1;
+
+// Sprite sheets wider or taller than this fail to decode in some browsers
+const MAX_SPRITE_SHEET_SIZE = 8192;
+
+function getFrameFileName(index) {
+  return `frames/frame-${String(index + 1).padStart(3, '0')}.png`;
+}
+
+// Camera on a circle around the product at a fixed elevation. The radius
+// matches App.fitCameraToScene, so the product fills the frame the same way.
+function createSpinCamera(app, aspect, elevationDegrees) {
+  const box = new THREE.Box3().setFromObject(app.productGroup);
+  const center = box.getCenter(new THREE.Vector3());
+  const size = box.getSize(new THREE.Vector3());
+  const maxDim = Math.max(size.x, size.y, size.z);
+
+  const camera = new THREE.PerspectiveCamera(app.camera.fov, aspect);
+  const fovRadians = camera.fov * (Math.PI / 180);
+  const distance = Math.abs(maxDim / Math.tan(fovRadians / 2)) * 1.2;
+  // fitCameraToScene offsets the camera by (d cos 45°, d / 2, d sin 45°)
+  const radius = distance * Math.hypot(1, 0.5);
+  const elevation = THREE.MathUtils.degToRad(elevationDegrees);
+  camera.near = Math.max(radius / 100, 0.001);
+  camera.far = radius * 100;
+  camera.updateProjectionMatrix();
+
+  return {
+    camera,
+    // Angle 0 looks at the front (+Z); angles turn clockwise seen from above
+    setAngle(angle) {
+      camera.position.set(
+        center.x + radius * Math.cos(elevation) * Math.sin(-angle),
+        center.y + radius * Math.sin(elevation),
+        center.z + radius * Math.cos(elevation) * Math.cos(-angle)
+      );
+      camera.lookAt(center);
+    }
+  };
+}
+
+// Render `frameCount` views around the product. Resolves with PNG Blobs in
+// angle order. Options: width, height, elevation (degrees), transparent,
+// background, onProgress (fraction) and an AbortSignal.
+export async function renderSpinFrames(app, {
+  frameCount,
+  width,
+  height,
+  elevation = 25,
+  transparent = false,
+  background = null,
+  onProgress,
+  signal
+}) {
+  const capture = beginCapture(app, { width, height, transparent, background });
+  const spin = createSpinCamera(app, capture.width / capture.height, elevation);
+  const frames = [];
+  try {
+    for (let index = 0; index < frameCount; index++) {
+      if (signal && signal.aborted) {
+        throw new DOMException('Export cancelled', 'AbortError');
+      }
+      spin.setAngle((2 * Math.PI * index) / frameCount);
+      capture.render(spin.camera);
+      frames.push(await canvasToBlob(capture.canvas));
+      if (onProgress) onProgress((index + 1) / frameCount);
+    }
+  } finally {
+    capture.end();
+  }
+  return { frames, width: capture.width, height: capture.height };
+}
+
+// Draw every frame into one grid image, scaled down to stay within
+// MAX_SPRITE_SHEET_SIZE
+async function createSpriteSheet(frames, width, height, columns) {
+  const rows = Math.ceil(frames.length / columns);
+  const scale = Math.min(1, MAX_SPRITE_SHEET_SIZE / (columns * width), MAX_SPRITE_SHEET_SIZE / (rows * height));
+  const frameWidth = Math.floor(width * scale);
+  const frameHeight = Math.floor(height * scale);
+
+  const canvas = document.createElement('canvas');
+  canvas.width = columns * frameWidth;
+  canvas.height = rows * frameHeight;
+  const context = canvas.getContext('2d');
+
+  for (let index = 0; index < frames.length; index++) {
+    const image = await createImageBitmap(frames[index]);
+    context.drawImage(
+      image,
+      (index % columns) * frameWidth,
+      Math.floor(index / columns) * frameHeight,
+      frameWidth,
+      frameHeight
+    );
+    image.close();
+  }
+
+  return { blob: await canvasToBlob(canvas), columns, rows, frameWidth, frameHeight };
+}
+
+function createDescriptor({ frameCount, width, height, elevation, spriteSheet }) {
+  const descriptor = {
+    format: SPIN_FORMAT,
+    version: SPIN_VERSION,
+    frameCount,
+    width,
+    height,
+    elevation,
+    startAngle: 0,
+    direction: 'clockwise',
+    frames: Array.from({ length: frameCount }, (item, index) => getFrameFileName(index))
+  };
+  if (spriteSheet) {
+    descriptor.spriteSheet = {
+      file: 'spritesheet.png',
+      columns: spriteSheet.columns,
+      rows: spriteSheet.rows,
+      frameWidth: spriteSheet.frameWidth,
+      frameHeight: spriteSheet.frameHeight
+    };
+  }
+  return descriptor;
+}
+
+async function toZipEntry(blob) {
+  // PNGs are already compressed, so store them as they are
+  return [new Uint8Array(await blob.arrayBuffer()), { level: 0 }];
+}
+
+// Package rendered frames as a ZIP Blob, with an optional sprite sheet of
+// `columns` frames per row
+export async function createSpinPackage({ frames, width, height }, { elevation, spriteSheet = false, columns = 12 }) {
+  const entries = {};
+  for (let index = 0; index < frames.length; index++) {
+    entries[getFrameFileName(index)] = await toZipEntry(frames[index]);
+  }
+
+  let sheet = null;
+  if (spriteSheet) {
+    sheet = await createSpriteSheet(frames, width, height, Math.min(columns, frames.length));
+    entries['spritesheet.png'] = await toZipEntry(sheet.blob);
+  }
+
+  const descriptor = createDescriptor({ frameCount: frames.length, width, height, elevation, spriteSheet: sheet });
+  entries['spin.json'] = new TextEncoder().encode(JSON.stringify(descriptor, null, 2));
+
+  return new Blob([zipSync(entries)], { type: 'application/zip' });
+}
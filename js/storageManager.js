@@ -0,0 +1,130 @@
+// storageManager.js
+
+import { showChoiceModal, showAlertModal } from './modalManager.js';
+
+// Human readable file size, e.g. "12.4 MB"
+export function formatFileSize(bytes) {
+  if (!bytes) return '0 B';
+  const units = ['B', 'KB', 'MB', 'GB'];
+  let size = bytes;
+  let unitIndex = 0;
+  while (size >= 1024 && unitIndex < units.length - 1) {
+    size /= 1024;
+    unitIndex++;
+  }
+  return `${size.toFixed(unitIndex === 0 ? 0 : 1)} ${units[unitIndex]}`;
+}
+
+// Keep some headroom below the quota; browsers count IndexedDB overhead
+// and other site data against the same budget
+const QUOTA_SAFETY_RATIO = 0.9;
+
+let persistRequest = null;
+
+// Usage and quota of this site's storage in bytes, or null when the
+// browser doesn't report them
+export async function getStorageEstimate() {
+  if (!navigator.storage || !navigator.storage.estimate) return null;
+  try {
+    const { usage = 0, quota = 0 } = await navigator.storage.estimate();
+    return { usage, quota };
+  } catch (error) {
+    console.error('Error estimating storage:', error);
+    return null;
+  }
+}
+
+export async function isStoragePersisted() {
+  if (!navigator.storage || !navigator.storage.persisted) return false;
+  return navigator.storage.persisted();
+}
+
+// Ask the browser not to clear the upload library under storage pressure.
+// Only asked once per page load; resolves with whether storage is persistent.
+export function requestPersistentStorage() {
+  if (!persistRequest) {
+    persistRequest = (async () => {
+      if (!navigator.storage || !navigator.storage.persist) return false;
+      if (await isStoragePersisted()) return true;
+      return navigator.storage.persist();
+    })().catch(error => {
+      console.error('Error requesting persistent storage:', error);
+      return false;
+    });
+  }
+  return persistRequest;
+}
+
+// Delete the least recently opened revisions until `bytesNeeded` bytes are
+// free. Resolves with the number of bytes freed.
+export async function evictLeastRecentlyUsed(app, bytesNeeded) {
+  const revisions = await app.listRevisionUsageFromIndexedDB();
+  revisions.sort((a, b) => (a.lastOpened || '').localeCompare(b.lastOpened || ''));
+
+  let freed = 0;
+  for (const revision of revisions) {
+    if (freed >= bytesNeeded) break;
+    await app.deleteRevisionFromIndexedDB(revision.id);
+    freed += revision.size;
+    console.log(`Evicted stored revision of ${revision.name} (${formatFileSize(revision.size)})`);
+  }
+  return freed;
+}
+
+// Uploads short of space at the same time (several files, a ZIP) ask one
+// after another, each checking again after the space the last one freed
+let pendingCheck = Promise.resolve();
+
+// Check there is room to store `bytesNeeded` more bytes. When there isn't,
+// offer to evict old uploads or clean up by hand. Resolves with true when
+// the save can go ahead.
+export function ensureStorageSpace(app, bytesNeeded) {
+  const check = pendingCheck.then(() => checkStorageSpace(app, bytesNeeded));
+  pendingCheck = check.catch(() => {});
+  return check;
+}
+
+async function checkStorageSpace(app, bytesNeeded) {
+  for (;;) {
+    const estimate = await getStorageEstimate();
+    // Without an estimate, let the save try and report a failure if it happens
+    if (!estimate || !estimate.quota) return true;
+
+    const available = estimate.quota * QUOTA_SAFETY_RATIO - estimate.usage;
+    if (bytesNeeded <= available) return true;
+
+    const shortfall = bytesNeeded - available;
+    const choice = await showChoiceModal({
+      title: 'Storage Almost Full',
+      message: `Keeping a copy of this upload needs ${formatFileSize(bytesNeeded)}, `
+        + `but only ${formatFileSize(Math.max(0, available))} of local storage is free `
+        + `(${formatFileSize(estimate.usage)} of ${formatFileSize(estimate.quota)} used).`,
+      choices: [
+        ['evict', 'Remove Oldest'],
+        ['manage', 'Manage Uploads'],
+        ['skip', 'Skip']
+      ]
+    });
+
+    if (choice === 'evict') {
+      const freed = await evictLeastRecentlyUsed(app, shortfall);
+      if (freed >= shortfall) return true;
+      showAlertModal('Not Enough Storage', 'Removing older uploads did not free enough space, so this upload was not kept.');
+      return false;
+    }
+    if (choice !== 'manage') return false;
+
+    // Check again once the library is closed
+    await new Promise(resolve => app.showBrowseInterface({ tab: 'uploads', onClose: resolve }));
+  }
+}
+
+// Short usage summary for the upload library
+export async function describeStorageUsage() {
+  const estimate = await getStorageEstimate();
+  if (!estimate || !estimate.quota) return '';
+
+  const persisted = await isStoragePersisted();
+  const persistence = persisted ? 'kept by the browser' : 'may be cleared by the browser when space runs low';
+  return `Using ${formatFileSize(estimate.usage)} of ${formatFileSize(estimate.quota)} – uploads ${persistence}.`;
+}
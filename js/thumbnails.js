@@ -0,0 +1,134 @@
+// thumbnails.js
+
+import * as THREE from 'three';
+import { OutputPass } from 'three/addons/postprocessing/OutputPass.js';
+import { getOriginalMaterial } from './sceneOutliner.js';
+
+export const THUMBNAIL_WIDTH = 320;
+export const THUMBNAIL_HEIGHT = 240;
+
+// Point a camera at a bounding box the way App.fitCameraToScene frames
+// the product group: 45° around it and a little above
+function frameBox(camera, box) {
+  const center = box.getCenter(new THREE.Vector3());
+  const size = box.getSize(new THREE.Vector3());
+  const maxDim = Math.max(size.x, size.y, size.z);
+  const fovRadians = camera.fov * (Math.PI / 180);
+  const distance = Math.abs(maxDim / Math.tan(fovRadians / 2)) * 1.2;
+
+  const offsetAngle = Math.PI / 4;
+  camera.position.set(
+    center.x + distance * Math.cos(offsetAngle),
+    center.y + distance * 0.5,
+    center.z + distance * Math.sin(offsetAngle)
+  );
+  camera.lookAt(center);
+  camera.near = Math.max(distance / 100, 0.001);
+  camera.far = distance * 100;
+  camera.updateProjectionMatrix();
+}
+
+// Tone mapping and sRGB output, which three.js only applies when drawing
+// to the screen; shared by every thumbnail
+let outputPass = null;
+
+// Show `objects` as they are, whatever the outliner did to them: hidden
+// nodes are shown and ghosted meshes get their own materials. Returns a
+// function that puts the outliner's state back.
+function showUnmodified(objects) {
+  const restores = [];
+  objects.forEach(object => object.traverse(node => {
+    if (!node.visible) {
+      node.visible = true;
+      restores.push(() => { node.visible = false; });
+    }
+    if (!node.isMesh || !node.material) return;
+    const material = node.material;
+    const materials = Array.isArray(material) ? material : [material];
+    if (materials.some(item => item.userData.ghostOf)) {
+      node.material = Array.isArray(material) ? material.map(getOriginalMaterial) : getOriginalMaterial(material);
+      restores.push(() => { node.material = material; });
+    }
+  }));
+  return () => restores.forEach(restore => restore());
+}
+
+// Render a snapshot of `objects` with the viewer's own lights, floor and
+// environment. Other models, overlays and editing helpers are hidden for
+// the shot, and objects that are not in the scene yet are added for it.
+// It is drawn off screen, so the viewer canvas is never touched. Resolves
+// with an image Blob, or null when there is nothing to capture (empty
+// objects or an XR session). The Blob is WebP where the browser can
+// encode it and PNG otherwise (Safari); its `type` says which.
+export function renderThumbnail(app, objects, { width = THUMBNAIL_WIDTH, height = THUMBNAIL_HEIGHT } = {}) {
+  const renderer = app.renderer;
+  if (renderer.xr.isPresenting || objects.length === 0) return Promise.resolve(null);
+
+  const detached = objects.filter(object => !object.parent);
+  detached.forEach(object => app.productGroup.add(object));
+  const restoreObjects = showUnmodified(objects);
+
+  const box = new THREE.Box3();
+  objects.forEach(object => box.expandByObject(object));
+  if (box.isEmpty()) {
+    restoreObjects();
+    detached.forEach(object => app.productGroup.remove(object));
+    return Promise.resolve(null);
+  }
+
+  const hidden = app.productGroup.children.filter(child => child.visible && !objects.includes(child));
+  // Editing helpers and overlays such as the transform gizmo stay out of the picture
+  app.scene.traverse(object => {
+    if (object.userData.hideInCapture && object.visible) hidden.push(object);
+  });
+  hidden.forEach(child => { child.visible = false; });
+
+  const camera = new THREE.PerspectiveCamera(app.camera.fov, width / height);
+  frameBox(camera, box);
+
+  const sceneTarget = new THREE.WebGLRenderTarget(width, height, { type: THREE.HalfFloatType, samples: 4 });
+  const outputTarget = new THREE.WebGLRenderTarget(width, height);
+  const previousTarget = renderer.getRenderTarget();
+  if (!outputPass) outputPass = new OutputPass();
+
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  try {
+    renderer.setRenderTarget(sceneTarget);
+    renderer.render(app.scene, camera);
+    outputPass.render(renderer, outputTarget, sceneTarget);
+
+    const pixels = new Uint8Array(width * height * 4);
+    renderer.readRenderTargetPixels(outputTarget, 0, 0, width, height, pixels);
+    // Rows are read bottom up
+    const context = canvas.getContext('2d');
+    const image = context.createImageData(width, height);
+    const rowLength = width * 4;
+    for (let row = 0; row < height; row++) {
+      image.data.set(pixels.subarray(row * rowLength, (row + 1) * rowLength), (height - 1 - row) * rowLength);
+    }
+    context.putImageData(image, 0, 0);
+  } finally {
+    renderer.setRenderTarget(previousTarget);
+    sceneTarget.dispose();
+    outputTarget.dispose();
+    hidden.forEach(child => { child.visible = true; });
+    restoreObjects();
+    detached.forEach(object => app.productGroup.remove(object));
+  }
+
+  return new Promise(resolve => canvas.toBlob(resolve, 'image/webp', 0.85));
+}
+
+// <img> for a stored thumbnail; the object URL is released once loaded
+export function createThumbnailImage(blob) {
+  const image = document.createElement('img');
+  const url = URL.createObjectURL(blob);
+  const release = () => URL.revokeObjectURL(url);
+  image.addEventListener('load', release, { once: true });
+  image.addEventListener('error', release, { once: true });
+  image.src = url;
+  image.alt = '';
+  return image;
+}
@@ -0,0 +1,274 @@
+// transformGizmo.js
+//
+// Move, rotate and scale the selected part with a TransformControls gizmo
+// or by typing values. A part is selected by clicking it (see
+// InteractionManager); W, E and R switch the mode, Q toggles world and
+// local space and Escape deselects.
+
+import * as THREE from 'three';
+import { TransformControls } from 'three/addons/controls/TransformControls.js';
+import { captureTransforms } from './editHistory.js';
+import { createPanel, createPanelHeader, createPanelButton, setButtonActive } from './panelManager.js';
+
+export const TRANSFORM_MODES = [
+  ['translate', 'Move', 'W'],
+  ['rotate', 'Rotate', 'E'],
+  ['scale', 'Scale', 'R']
+];
+
+const HISTORY_LABELS = {
+  translate: 'Move Part',
+  rotate: 'Rotate Part',
+  scale: 'Scale Part'
+};
+
+// Scale factors typed in below this would collapse the part
+const MIN_SCALE = 0.001;
+
+export class TransformGizmo {
+  constructor(app) {
+    this.app = app;
+    this.object = null;
+    this.onChange = null;
+
+    this.controls = new TransformControls(app.camera, app.renderer.domElement);
+    this.controls.name = 'transform-gizmo';
+    this.controls.userData.hideInCapture = true;
+    this.transformStart = null;
+
+    // The camera must not orbit while a handle is dragged
+    this.controls.addEventListener('dragging-changed', (event) => {
+      if (event.value) {
+        app.interactionManager.disableOrbitControls();
+      } else {
+        app.interactionManager.enableOrbitControls();
+      }
+    });
+    // One undo step per handle drag
+    this.controls.addEventListener('mouseDown', () => {
+      this.transformStart = captureTransforms([this.object]);
+    });
+    this.controls.addEventListener('mouseUp', () => {
+      if (this.transformStart) {
+        app.history.pushTransforms(HISTORY_LABELS[this.controls.mode], this.transformStart);
+        this.transformStart = null;
+      }
+    });
+    this.controls.addEventListener('objectChange', () => this.emitTransform());
+  }
+
+  get mode() {
+    return this.controls.mode;
+  }
+
+  get space() {
+    return this.controls.space;
+  }
+
+  // True while a handle is being dragged
+  get isDragging() {
+    return this.controls.dragging;
+  }
+
+  // Attach the gizmo to a part container, or detach it with null. The
+  // gizmo is only in the scene while attached, so it never gets in the way
+  // of XR controller rays.
+  select(object) {
+    if (object === this.object) return;
+    this.object = object;
+    if (object) {
+      this.controls.attach(object);
+      this.app.scene.add(this.controls);
+    } else {
+      this.controls.detach();
+      this.app.scene.remove(this.controls);
+    }
+    if (this.onChange) this.onChange();
+  }
+
+  setMode(mode) {
+    if (!HISTORY_LABELS[mode]) return;
+    this.controls.setMode(mode);
+    if (this.onChange) this.onChange();
+  }
+
+  setSpace(space) {
+    this.controls.setSpace(space);
+    if (this.onChange) this.onChange();
+  }
+
+  toggleSpace() {
+    this.setSpace(this.space === 'world' ? 'local' : 'world');
+  }
+
+  // W, E, R, Q and Escape, passed on by the shortcut handler in uiControls
+  handleKey(key) {
+    if (!this.object) return;
+    const mode = TRANSFORM_MODES.find(([, , modeKey]) => modeKey.toLowerCase() === key);
+    if (mode) {
+      this.setMode(mode[0]);
+    } else if (key === 'q') {
+      this.toggleSpace();
+    } else if (key === 'escape' && !this.isDragging) {
+      this.select(null);
+    }
+  }
+
+  // Apply typed-in values: `transform` holds any of position (array),
+  // rotation (Euler angles in degrees) and scale (array)
+  setTransform(transform, label) {
+    if (!this.object) return;
+    const before = captureTransforms([this.object]);
+    if (transform.position) {
+      this.object.position.fromArray(transform.position);
+    }
+    if (transform.rotation) {
+      const [x, y, z] = transform.rotation.map(THREE.MathUtils.degToRad);
+      this.object.rotation.set(x, y, z);
+    }
+    if (transform.scale) {
+      this.object.scale.fromArray(transform.scale.map(value => Math.max(MIN_SCALE, value)));
+    }
+    this.app.history.pushTransforms(label, before);
+    this.emitTransform();
+  }
+
+  // Keep other viewers in step, as dragging does
+  emitTransform() {
+    const app = this.app;
+    if (this.object && app.isHost && app.socket) {
+      app.socket.emit('model-transform', {
+        customId: this.object.name,
+        position: this.object.position.toArray(),
+        rotation: this.object.rotation.toArray(),
+        scale: this.object.scale.toArray()
+      });
+    }
+  }
+}
+
+// Inputs for the x, y and z of one property. `read(object)` returns the
+// three values shown; `onCommit(values)` applies edited values.
+function createVectorRow(label, { step, digits, read, onCommit }) {
+  const row = document.createElement('div');
+  row.style.display = 'flex';
+  row.style.alignItems = 'center';
+  row.style.gap = '4px';
+  row.style.marginTop = '6px';
+
+  const name = document.createElement('span');
+  name.textContent = label;
+  name.style.width = '64px';
+  name.style.fontSize = '12px';
+  name.style.color = '#555';
+  row.appendChild(name);
+
+  const inputs = ['X', 'Y', 'Z'].map(axis => {
+    const input = document.createElement('input');
+    input.type = 'number';
+    input.step = String(step);
+    input.title = `${label} ${axis}`;
+    input.style.width = '64px';
+    input.style.padding = '3px 4px';
+    input.style.border = '1px solid #ccc';
+    input.style.borderRadius = '4px';
+    input.addEventListener('change', () => {
+      const values = inputs.map(item => parseFloat(item.value));
+      if (values.every(Number.isFinite)) onCommit(values);
+    });
+    row.appendChild(input);
+    return input;
+  });
+
+  return {
+    element: row,
+    // Show the object's current values, leaving a field being typed in alone
+    refresh(object) {
+      read(object).forEach((value, index) => {
+        const input = inputs[index];
+        const text = value.toFixed(digits);
+        if (input !== document.activeElement && input.value !== text) input.value = text;
+      });
+    }
+  };
+}
+
+// Floating panel for the selected part: mode and space buttons and
+// numeric position, rotation and scale. Shown while a part is selected;
+// `update` is called from the animation loop to follow drags and undo.
+export function createTransformPanel(gizmo) {
+  const { element: panel, closeButton, show, hide } = createPanel({
+    closeTitle: 'Deselect (Esc)',
+    onClose: () => gizmo.select(null)
+  });
+  panel.style.top = '80px';
+  panel.style.right = '20px';
+  panel.style.width = '300px';
+  panel.style.padding = '12px 16px';
+
+  const { element: header, title } = createPanelHeader('', [closeButton]);
+
+  const modeRow = document.createElement('div');
+  modeRow.style.display = 'flex';
+  modeRow.style.gap = '4px';
+  modeRow.style.marginTop = '8px';
+  const modeButtons = TRANSFORM_MODES.map(([mode, text, key]) => {
+    const button = createPanelButton(text, `${text} (${key})`);
+    button.style.flex = '1';
+    button.addEventListener('click', () => gizmo.setMode(mode));
+    modeRow.appendChild(button);
+    return [mode, button];
+  });
+  const spaceButton = createPanelButton('', 'Toggle world/local axes (Q)');
+  spaceButton.style.flex = '1';
+  spaceButton.addEventListener('click', () => gizmo.toggleSpace());
+  modeRow.appendChild(spaceButton);
+
+  const rows = [
+    createVectorRow('Position', {
+      step: 0.01,
+      digits: 3,
+      read: object => object.position.toArray(),
+      onCommit: values => gizmo.setTransform({ position: values }, 'Move Part')
+    }),
+    createVectorRow('Rotation °', {
+      step: 1,
+      digits: 1,
+      read: object => [object.rotation.x, object.rotation.y, object.rotation.z].map(THREE.MathUtils.radToDeg),
+      onCommit: values => gizmo.setTransform({ rotation: values }, 'Rotate Part')
+    }),
+    createVectorRow('Scale', {
+      step: 0.1,
+      digits: 3,
+      read: object => object.scale.toArray(),
+      onCommit: values => gizmo.setTransform({ scale: values }, 'Scale Part')
+    })
+  ];
+
+  panel.appendChild(header);
+  panel.appendChild(modeRow);
+  rows.forEach(row => panel.appendChild(row.element));
+
+  gizmo.onChange = () => {
+    if (!gizmo.object) {
+      hide();
+      return;
+    }
+    show();
+    title.textContent = gizmo.object.name;
+    title.title = gizmo.object.name;
+    modeButtons.forEach(([mode, button]) => setButtonActive(button, mode === gizmo.mode));
+    // Scaling always uses the part's own axes
+    spaceButton.textContent = gizmo.space === 'world' ? 'World' : 'Local';
+    spaceButton.disabled = gizmo.mode === 'scale';
+    spaceButton.style.opacity = spaceButton.disabled ? '0.5' : '1';
+    rows.forEach(row => row.refresh(gizmo.object));
+  };
+
+  return {
+    element: panel,
+    update() {
+      if (gizmo.object) rows.forEach(row => row.refresh(gizmo.object));
+    }
+  };
+}
@@ -0,0 +1,155 @@
+// turntable.js
+
+import * as THREE from 'three';
+import { beginCapture } from './capture.js';
+
+export const VIDEO_SIZES = [
+  ['1280x720', 'HD (1280 × 720)'],
+  ['1920x1080', 'Full HD (1920 × 1080)'],
+  ['1080x1080', 'Square (1080 × 1080)'],
+  ['1080x1920', 'Portrait (1080 × 1920)'],
+  ['3840x2160', '4K (3840 × 2160)']
+];
+
+// Preferred first; VP8 and VP9 keep a transparent background
+const VIDEO_TYPES = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'];
+
+// About 8 Mbit/s for Full HD, scaled by pixel count
+const BITS_PER_PIXEL_SECOND = 8000000 / (1920 * 1080 * 30);
+
+export function getSupportedVideoType() {
+  if (typeof MediaRecorder === 'undefined') return null;
+  return VIDEO_TYPES.find(type => MediaRecorder.isTypeSupported(type)) || null;
+}
+
+const Y_AXIS = new THREE.Vector3(0, 1, 0);
+
+// Turn the view by an angle around the vertical axis through the orbit
+// target: either the camera moves ('orbit') or the product group turns
+// in place ('rotate'). Returns { setAngle(radians), restore() }.
+function createTurntableMotion(app, mode) {
+  const camera = app.camera;
+  const target = app.orbitControls.target.clone();
+  const cameraPosition = camera.position.clone();
+  const groupPosition = app.productGroup.position.clone();
+  const groupQuaternion = app.productGroup.quaternion.clone();
+  const rotation = new THREE.Quaternion();
+
+  if (mode === 'rotate') {
+    // Turn around the middle of the product, not the group's origin
+    const center = new THREE.Box3().setFromObject(app.productGroup).getCenter(new THREE.Vector3());
+    return {
+      setAngle(angle) {
+        rotation.setFromAxisAngle(Y_AXIS, angle);
+        app.productGroup.quaternion.copy(rotation).multiply(groupQuaternion);
+        app.productGroup.position.copy(groupPosition).sub(center).applyQuaternion(rotation).add(center);
+      },
+      restore() {
+        app.productGroup.position.copy(groupPosition);
+        app.productGroup.quaternion.copy(groupQuaternion);
+      }
+    };
+  }
+
+  const offset = cameraPosition.clone().sub(target);
+  return {
+    setAngle(angle) {
+      camera.position.copy(offset).applyAxisAngle(Y_AXIS, angle).add(target);
+      camera.lookAt(target);
+    },
+    restore() {
+      camera.position.copy(cameraPosition);
+      camera.lookAt(target);
+    }
+  };
+}
+
+function wait(milliseconds) {
+  return new Promise(resolve => setTimeout(resolve, milliseconds));
+}
+
+// Record a turntable of the product to WebM. MediaRecorder stamps frames
+// with the wall clock, not a frame number, so each frame is rendered at
+// the angle for the moment it is pushed. Frames are pushed at most `fps`
+// times a second; where they render slower (e.g. 4K on a slow GPU) the
+// video gets fewer frames, but the turn keeps its speed and duration.
+// Options: width, height, transparent, background, mode ('orbit' or
+// 'rotate'), duration and secondsPerTurn in seconds, fps, onProgress
+// (fraction) and an AbortSignal. Resolves with the video Blob.
+export async function recordTurntable(app, {
+  width,
+  height,
+  transparent = false,
+  background = null,
+  mode = 'orbit',
+  duration = 8,
+  secondsPerTurn = 8,
+  fps = 30,
+  onProgress,
+  signal
+}) {
+  const mimeType = getSupportedVideoType();
+  if (!mimeType) {
+    throw new Error('This browser cannot record video.');
+  }
+
+  const motion = createTurntableMotion(app, mode);
+  const capture = beginCapture(app, { width, height, transparent, background });
+  let recorder = null;
+  let stopped = null;
+  let track = null;
+  const chunks = [];
+  // Everything after beginCapture may throw (an unsupported bitrate, for
+  // one), and the viewer must be put back whatever happens
+  try {
+    // With requestFrame the stream only takes the frames we push
+    const stream = capture.canvas.captureStream(0);
+    [track] = stream.getVideoTracks();
+    const pushFrame = track.requestFrame
+      ? () => track.requestFrame()
+      : () => stream.requestFrame && stream.requestFrame();
+
+    recorder = new MediaRecorder(stream, {
+      mimeType,
+      videoBitsPerSecond: Math.round(capture.width * capture.height * fps * BITS_PER_PIXEL_SECOND)
+    });
+    recorder.ondataavailable = (event) => {
+      if (event.data.size > 0) chunks.push(event.data);
+    };
+    stopped = new Promise(resolve => { recorder.onstop = resolve; });
+
+    const durationMs = duration * 1000;
+    const frameTime = 1000 / fps;
+
+    recorder.start();
+    const start = performance.now();
+    let elapsed = 0;
+    while (elapsed < durationMs) {
+      if (signal && signal.aborted) {
+        throw new DOMException('Recording cancelled', 'AbortError');
+      }
+      motion.setAngle((2 * Math.PI * elapsed) / (secondsPerTurn * 1000));
+      capture.render();
+      pushFrame();
+      if (onProgress) onProgress(Math.min(1, elapsed / durationMs));
+
+      // Next frame slot on the clock; a slow frame skips slots rather than
+      // bunching the frames after it
+      const now = performance.now() - start;
+      const nextSlot = (Math.floor(now / frameTime) + 1) * frameTime;
+      await wait(nextSlot - now);
+      elapsed = performance.now() - start;
+    }
+    if (onProgress) onProgress(1);
+  } finally {
+    if (recorder && recorder.state !== 'inactive') {
+      recorder.stop();
+      await stopped;
+    }
+    if (track) track.stop();
+    motion.restore();
+    capture.end();
+  }
+
+  return new Blob(chunks, { type: mimeType.split(';')[0] });
+}
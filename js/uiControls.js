@@ -3,6 +3,8 @@
 import * as THREE from 'three';
 import { ARButton } from 'three/addons/webxr/ARButton.js';
 import { showConfirmationModal } from './modalManager.js';
+import { captureTransforms } from './editHistory.js';
+import { getOriginalMaterial } from './sceneOutliner.js';
 
 // Function to detect if we should use compact UI with icons
 function shouldUseCompactUI() {
@@ -31,8 +33,9 @@ function updateButtonForCompactUI(button, iconClass, tooltip) {
   button.style.justifyContent = 'center';
 }
 
-// Extract all materials from loaded models
-function getMaterialsByName(app) {
+// Extract all materials from loaded models. Keys are "Material - model";
+// values are { model, mesh, material }.
+export function getMaterialsByName(app) {
   const materialMap = new Map();
   
   if (!app.productGroup) return materialMap;
@@ -41,7 +44,8 @@ function getMaterialsByName(app) {
   app.loadedModels.forEach((modelGroup, modelName) => {
     modelGroup.traverse((child) => {
       if (child.isMesh && child.material) {
-        let materials = Array.isArray(child.material) ? child.material : [child.material];
+        // Ghosted parts are coloured through their own materials
+        let materials = (Array.isArray(child.material) ? child.material : [child.material]).map(getOriginalMaterial);
         
         materials.forEach(material => {
           // Use a meaningful name: modelName + materialName or material.uuid if no name
@@ -214,8 +218,17 @@ function showMaterialColorPicker(app) {
     const selectedMaterialKey = materialSelect.value;
     const colorValue = colorInput.value;
     
-    // Apply the color
+    // Apply the color, keeping the previous one for undo
+    const material = materialMap.get(selectedMaterialKey)?.material;
+    const previousColor = material?.color ? '#' + material.color.getHexString() : null;
     applyColorToMaterial(app, materialMap, selectedMaterialKey, colorValue);
+    if (previousColor && previousColor !== colorValue.toLowerCase()) {
+      app.history.push({
+        label: `Color ${selectedMaterialKey}`,
+        undo: () => applyColorToMaterial(app, materialMap, selectedMaterialKey, previousColor),
+        redo: () => applyColorToMaterial(app, materialMap, selectedMaterialKey, colorValue)
+      });
+    }
     
     // Save to recent colors
     addRecentColor(colorValue);
@@ -320,6 +333,98 @@ function addRecentColor(color) {
   }
 }
 
+// Create a toolbar button with the shared pill style
+function createToolbarButton(label, iconClass, tooltip) {
+  const button = document.createElement('button');
+  
+  // Check if we should use compact UI
+  const useCompactUI = shouldUseCompactUI();
+  
+  if (useCompactUI) {
+    updateButtonForCompactUI(button, iconClass, tooltip);
+  } else {
+    button.textContent = label;
+    button.title = tooltip;
+  }
+  
+  button.style.padding = useCompactUI ? '25px' : '8px 24px';
+  button.style.border = 'none';
+  button.style.outline = 'none';
+  button.style.borderRadius = '9999px';
+  button.style.backgroundColor = '#d00024';
+  button.style.color = 'white';
+  button.style.cursor = 'pointer';
+  button.style.transition = 'background-color 0.3s ease, color 0.3s ease';
+  
+  button.addEventListener('mouseover', () => {
+    button.style.backgroundColor = '#b0001d';
+  });
+  button.addEventListener('mouseout', () => {
+    button.style.backgroundColor = '#d00024';
+  });
+  
+  return button;
+}
+
+// Toolbar button opening a drop-down list of less frequent actions.
+// Items are { label, iconClass, onClick }.
+function createToolbarMenu(label, iconClass, tooltip, items) {
+  const wrapper = document.createElement('div');
+  wrapper.style.position = 'relative';
+
+  const button = createToolbarButton(label, iconClass, tooltip);
+
+  const menu = document.createElement('div');
+  menu.style.position = 'absolute';
+  menu.style.top = 'calc(100% + 6px)';
+  menu.style.left = '0';
+  menu.style.minWidth = '200px';
+  menu.style.padding = '4px 0';
+  menu.style.backgroundColor = 'white';
+  menu.style.borderRadius = '8px';
+  menu.style.boxShadow = '0 4px 12px rgba(0,0,0,0.2)';
+  menu.style.display = 'none';
+  menu.style.flexDirection = 'column';
+
+  const closeMenu = () => { menu.style.display = 'none'; };
+
+  items.forEach(item => {
+    const entry = document.createElement('button');
+    entry.innerHTML = `<i class="${item.iconClass}" style="width: 20px; margin-right: 8px;"></i>`;
+    entry.appendChild(document.createTextNode(item.label));
+    entry.style.border = 'none';
+    entry.style.background = 'none';
+    entry.style.padding = '8px 16px';
+    entry.style.textAlign = 'left';
+    entry.style.fontSize = '14px';
+    entry.style.color = '#333';
+    entry.style.cursor = 'pointer';
+    entry.style.whiteSpace = 'nowrap';
+    entry.addEventListener('mouseover', () => { entry.style.backgroundColor = '#f0f0f0'; });
+    entry.addEventListener('mouseout', () => { entry.style.backgroundColor = 'transparent'; });
+    entry.addEventListener('click', () => {
+      closeMenu();
+      item.onClick();
+    });
+    menu.appendChild(entry);
+  });
+
+  button.addEventListener('click', () => {
+    menu.style.display = menu.style.display === 'none' ? 'flex' : 'none';
+  });
+  // Close when clicking elsewhere or pressing Escape
+  document.addEventListener('click', (event) => {
+    if (!wrapper.contains(event.target)) closeMenu();
+  });
+  document.addEventListener('keydown', (event) => {
+    if (event.key === 'Escape') closeMenu();
+  });
+
+  wrapper.appendChild(button);
+  wrapper.appendChild(menu);
+  return wrapper;
+}
+
 // Create color button
 function createColorButton(app) {
   const colorButton = document.createElement('button');
@@ -398,11 +503,26 @@ export function setupUIControls(app) {
   
   const fileInput = document.createElement('input');
   fileInput.type = 'file';
-  fileInput.accept = '.glb,.gltf';
+  fileInput.id = 'file-input';
+  // .bin and image files can be picked alongside a .gltf; .zip archives are unpacked
+  fileInput.accept = '.glb,.gltf,.stl,.obj,.ply,.3mf,.zip,.bin,image/*';
   fileInput.style.display = 'none';
   fileInput.multiple = true;
   
   uploadButton.onclick = () => fileInput.click();
+
+  // ------------------------------
+  // Create the Open Folder button (for .gltf exports with external files).
+  // ------------------------------
+  const folderButton = createToolbarButton('Folder', 'fa-solid fa-folder-tree', 'Open Model Folder');
+
+  const folderInput = document.createElement('input');
+  folderInput.type = 'file';
+  folderInput.id = 'folder-input';
+  folderInput.webkitdirectory = true;
+  folderInput.style.display = 'none';
+
+  folderButton.onclick = () => folderInput.click();
   
   // ------------------------------
   // Create the Browse button.
@@ -470,8 +590,15 @@ export function setupUIControls(app) {
   });
   
   resetButton.onclick = () => {
+    // Parts go back to the origin, so the explode layout no longer applies.
+    // Undo puts it back along with the exploded positions.
+    const explode = app.explodeController;
+    const explodeBefore = explode ? explode.getState() : null;
+    if (explode) explode.reset();
+    const explodeAfter = explode ? explode.getState() : null;
     // Reset the transformation (position, rotation, and scale) of all parts.
     if (app.productGroup) {
+      const before = captureTransforms(app.productGroup.children);
       app.productGroup.children.forEach((child) => {
         child.position.set(0, 0, 0);
         child.rotation.set(0, 0, 0);
@@ -482,6 +609,10 @@ export function setupUIControls(app) {
           child.scale.set(1, 1, 1);
         }
       });
+      app.history.pushTransforms('Reset Parts', before, {
+        undo: () => { if (explode) explode.setState(explodeBefore); },
+        redo: () => { if (explode) explode.setState(explodeAfter); }
+      });
     }
     // Reset the camera/viewport to its initial state.
     if (typeof app.fitCameraToScene === 'function') {
@@ -489,11 +620,95 @@ export function setupUIControls(app) {
     }
   };
   
+  // ------------------------------
+  // Create the Undo and Redo buttons.
+  // ------------------------------
+  const undoButton = createToolbarButton('Undo', 'fa-solid fa-rotate-left', 'Undo (Ctrl+Z)');
+  const redoButton = createToolbarButton('Redo', 'fa-solid fa-rotate-right', 'Redo (Ctrl+Shift+Z)');
+  undoButton.onclick = () => app.history.undo();
+  redoButton.onclick = () => app.history.redo();
+
+  // Grey the buttons out when there is nothing to undo or redo
+  const updateHistoryButtons = () => {
+    const undoLabel = app.history.getUndoLabel();
+    const redoLabel = app.history.getRedoLabel();
+    undoButton.disabled = !undoLabel;
+    redoButton.disabled = !redoLabel;
+    undoButton.title = undoLabel ? `Undo ${undoLabel} (Ctrl+Z)` : 'Undo (Ctrl+Z)';
+    redoButton.title = redoLabel ? `Redo ${redoLabel} (Ctrl+Shift+Z)` : 'Redo (Ctrl+Shift+Z)';
+    [undoButton, redoButton].forEach(button => {
+      button.style.opacity = button.disabled ? '0.5' : '1';
+      button.style.cursor = button.disabled ? 'default' : 'pointer';
+    });
+  };
+  app.history.onChange = updateHistoryButtons;
+  updateHistoryButtons();
+
+  // Keyboard shortcuts: Ctrl+Z / Ctrl+Shift+Z (Cmd on macOS), plus Ctrl+Y
+  // for redo, and the transform keys while a part is selected. Text fields
+  // keep their own keys, and nothing changes in the middle of a drag.
+  document.addEventListener('keydown', (event) => {
+    if (event.altKey) return;
+    const target = event.target;
+    if (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName)) return;
+
+    const key = event.key.toLowerCase();
+    if (!(event.ctrlKey || event.metaKey)) {
+      if (app.transformGizmo) app.transformGizmo.handleKey(key);
+      return;
+    }
+    const isUndo = key === 'z' && !event.shiftKey;
+    const isRedo = (key === 'z' && event.shiftKey) || key === 'y';
+    if (!isUndo && !isRedo) return;
+    event.preventDefault();
+    if (app.interactionManager && app.interactionManager.isDragging) return;
+    if (isUndo) {
+      app.history.undo();
+    } else {
+      app.history.redo();
+    }
+  });
+
+  // ------------------------------
+  // Create the More menu (sessions, exports and tools).
+  // ------------------------------
+  const sessionInput = document.createElement('input');
+  sessionInput.type = 'file';
+  sessionInput.id = 'session-input';
+  sessionInput.accept = '.json,application/json';
+  sessionInput.style.display = 'none';
+  sessionInput.onchange = async () => {
+    if (sessionInput.files.length > 0) {
+      await app.openSessionFile(sessionInput.files[0]);
+    }
+    sessionInput.value = '';
+  };
+
+  const moreMenu = createToolbarMenu('More', 'fa-solid fa-ellipsis', 'More Actions', [
+    { label: 'Save Session', iconClass: 'fa-solid fa-floppy-disk', onClick: () => app.saveSession() },
+    { label: 'Load Session', iconClass: 'fa-solid fa-file-import', onClick: () => sessionInput.click() },
+    { label: 'Export GLB', iconClass: 'fa-solid fa-file-export', onClick: () => app.exportSceneAsGLB() },
+    { label: 'Capture Image', iconClass: 'fa-solid fa-camera', onClick: () => app.captureStillImage() },
+    { label: 'Record Turntable', iconClass: 'fa-solid fa-video', onClick: () => app.recordTurntableVideo() },
+    { label: 'Export 360° Images', iconClass: 'fa-solid fa-rotate', onClick: () => app.exportSpinSequence() },
+    { label: 'Snapping & Axis Lock', iconClass: 'fa-solid fa-magnet', onClick: () => app.constraintPanel.toggle() },
+    { label: 'Explode View', iconClass: 'fa-solid fa-expand', onClick: () => app.explodePanel.toggle() },
+    { label: 'Parts Outliner', iconClass: 'fa-solid fa-sitemap', onClick: () => app.outlinerPanel.toggle() },
+    { label: 'Interference Check', iconClass: 'fa-solid fa-triangle-exclamation', onClick: () => app.interferencePanel.toggle() },
+    { label: 'Assembly Animation', iconClass: 'fa-solid fa-film', onClick: () => app.animationPanel.toggle() }
+  ]);
+  
   controlsContainer.appendChild(fileInput);
+  controlsContainer.appendChild(folderInput);
+  controlsContainer.appendChild(sessionInput);
   controlsContainer.appendChild(uploadButton);
+  controlsContainer.appendChild(folderButton);
   controlsContainer.appendChild(browseButton);
   controlsContainer.appendChild(colorButton);
   controlsContainer.appendChild(resetButton);
+  controlsContainer.appendChild(undoButton);
+  controlsContainer.appendChild(redoButton);
+  controlsContainer.appendChild(moreMenu);
 
   // ------------------------------
   // Optional: AR Button (if supported).
@@ -0,0 +1,250 @@
+// uploadLibrary.js
+
+import { formatFileSize, describeStorageUsage } from './storageManager.js';
+import { createThumbnailImage } from './thumbnails.js';
+
+function formatDate(isoDate) {
+  const date = new Date(isoDate);
+  return isNaN(date.getTime()) ? '' : date.toLocaleString();
+}
+
+// Rendered snapshot of the latest revision, or a placeholder icon
+function createThumbnail(model) {
+  const box = document.createElement('div');
+  box.style.width = '56px';
+  box.style.height = '42px';
+  box.style.marginLeft = '8px';
+  box.style.flexShrink = '0';
+  box.style.display = 'flex';
+  box.style.alignItems = 'center';
+  box.style.justifyContent = 'center';
+  box.style.borderRadius = '4px';
+  box.style.overflow = 'hidden';
+  box.style.backgroundColor = 'white';
+
+  if (model.thumbnail) {
+    const image = createThumbnailImage(model.thumbnail);
+    image.style.width = '100%';
+    image.style.height = '100%';
+    image.style.objectFit = 'contain';
+    box.appendChild(image);
+  } else {
+    box.innerHTML = '<i class="fa-solid fa-cube" style="color: #ccc;"></i>';
+  }
+  return box;
+}
+
+function createIconButton(iconClass, tooltip) {
+  const button = document.createElement('button');
+  button.innerHTML = `<i class="${iconClass}"></i>`;
+  button.title = tooltip;
+  button.style.border = 'none';
+  button.style.background = 'none';
+  button.style.color = '#666';
+  button.style.cursor = 'pointer';
+  button.style.padding = '4px 6px';
+  return button;
+}
+
+// Revision picker for models saved more than once. The first option is
+// the latest revision, which is what opens by default.
+function createRevisionSelect(app, model, selectedRevisionId) {
+  const select = document.createElement('select');
+  select.title = 'Revision';
+  select.style.marginTop = '4px';
+  select.style.padding = '2px 4px';
+  select.style.borderRadius = '4px';
+  select.style.border = '1px solid #ccc';
+  select.style.fontSize = '12px';
+
+  app.listRevisionsFromIndexedDB(model.name)
+    .then(revisions => {
+      revisions.forEach((revision, index) => {
+        const option = document.createElement('option');
+        option.value = String(revision.id);
+        const label = `${formatDate(revision.date)} · ${formatFileSize(revision.size)}`;
+        option.textContent = index === 0 ? `Latest – ${label}` : label;
+        select.appendChild(option);
+      });
+      if (selectedRevisionId !== undefined) {
+        select.value = String(selectedRevisionId);
+      }
+    })
+    .catch(error => console.error('Error listing revisions:', error));
+
+  return select;
+}
+
+// Build the "My Uploads" panel of the browse modal, listing the models kept
+// in IndexedDB. Returns the panel element and a getter for the ticked
+// models as { name, revisionId } entries.
+export function createUploadLibraryPanel(app) {
+  const panel = document.createElement('div');
+  panel.style.marginTop = '10px';
+
+  // Ticked model name -> chosen revision id (undefined for the latest)
+  const selected = new Map();
+
+  // Swap the name label for an input; Enter or leaving the field saves
+  function startRename(row, label, name) {
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.value = name;
+    input.style.padding = '2px 4px';
+    input.style.border = '1px solid #ccc';
+    input.style.borderRadius = '4px';
+
+    let finished = false;
+    const finish = (save) => {
+      if (finished) return;
+      finished = true;
+      const newName = input.value.trim();
+      if (!save || !newName || newName === name) {
+        row.replaceChild(label, input);
+        return;
+      }
+      app.renameModelInIndexedDB(name, newName)
+        .then(() => {
+          if (selected.has(name)) {
+            selected.set(newName, selected.get(name));
+            selected.delete(name);
+          }
+          render();
+        })
+        .catch(error => {
+          alert(error.message);
+          row.replaceChild(label, input);
+        });
+    };
+
+    input.addEventListener('keydown', (event) => {
+      if (event.key === 'Enter') finish(true);
+      if (event.key === 'Escape') finish(false);
+    });
+    input.addEventListener('blur', () => finish(true));
+
+    row.replaceChild(input, label);
+    input.focus();
+    input.select();
+  }
+
+  function createRow(model, index) {
+    const div = document.createElement('div');
+    div.style.display = 'flex';
+    div.style.alignItems = 'center';
+    div.style.marginBottom = '10px';
+    div.style.padding = '5px';
+    div.style.borderRadius = '4px';
+    div.style.backgroundColor = '#f5f5f5';
+
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.id = `upload-${index}`;
+    checkbox.checked = selected.has(model.name);
+
+    let revisionSelect = null;
+    const getChosenRevisionId = () => (
+      revisionSelect && revisionSelect.selectedIndex > 0 ? Number(revisionSelect.value) : undefined
+    );
+
+    checkbox.addEventListener('change', () => {
+      if (checkbox.checked) {
+        selected.set(model.name, getChosenRevisionId());
+      } else {
+        selected.delete(model.name);
+      }
+    });
+
+    const details = document.createElement('div');
+    details.style.marginLeft = '8px';
+    details.style.flex = '1';
+
+    const label = document.createElement('label');
+    label.htmlFor = checkbox.id;
+    label.textContent = model.name;
+
+    const meta = document.createElement('div');
+    const revisions = model.revisionCount > 1 ? `${model.revisionCount} revisions` : '';
+    meta.textContent = [formatDate(model.date), formatFileSize(model.size), model.format.toUpperCase(), revisions]
+      .filter(Boolean)
+      .join(' · ');
+    meta.style.fontSize = '12px';
+    meta.style.color = '#777';
+
+    details.appendChild(label);
+    details.appendChild(meta);
+
+    if (model.revisionCount > 1) {
+      revisionSelect = createRevisionSelect(app, model, selected.get(model.name));
+      // Picking a revision also ticks the model for loading
+      revisionSelect.addEventListener('change', () => {
+        checkbox.checked = true;
+        selected.set(model.name, getChosenRevisionId());
+      });
+      details.appendChild(revisionSelect);
+    }
+
+    const renameButton = createIconButton('fa-solid fa-pen', 'Rename');
+    renameButton.addEventListener('click', () => startRename(details, label, model.name));
+
+    const deleteButton = createIconButton('fa-solid fa-trash', 'Delete');
+    deleteButton.addEventListener('click', () => {
+      const revisionText = model.revisionCount > 1 ? ` and all ${model.revisionCount} revisions` : '';
+      if (!confirm(`Delete "${model.name}"${revisionText} from this browser?`)) return;
+      app.deleteModelFromIndexedDB(model.name)
+        .then(() => {
+          selected.delete(model.name);
+          render();
+        })
+        .catch(error => {
+          console.error('Error deleting stored model:', error);
+          alert('The model could not be deleted.');
+        });
+    });
+
+    div.appendChild(checkbox);
+    div.appendChild(createThumbnail(model));
+    div.appendChild(details);
+    div.appendChild(renameButton);
+    div.appendChild(deleteButton);
+    return div;
+  }
+
+  async function render() {
+    let models;
+    try {
+      models = await app.listModelsFromIndexedDB();
+    } catch (error) {
+      console.error('Error listing stored models:', error);
+      panel.textContent = 'Stored uploads are not available in this browser.';
+      return;
+    }
+
+    panel.innerHTML = '';
+
+    const usage = document.createElement('p');
+    usage.style.fontSize = '12px';
+    usage.style.color = '#777';
+    usage.style.marginBottom = '10px';
+    panel.appendChild(usage);
+    describeStorageUsage().then(text => { usage.textContent = text; });
+
+    if (models.length === 0) {
+      const empty = document.createElement('p');
+      empty.textContent = 'No uploads stored in this browser yet.';
+      panel.appendChild(empty);
+      return;
+    }
+
+    // Newest uploads first
+    models.sort((a, b) => (b.date || '').localeCompare(a.date || ''));
+    models.forEach((model, index) => panel.appendChild(createRow(model, index)));
+  }
+
+  render();
+
+  return {
+    element: panel,
+    getSelectedModels: () => Array.from(selected, ([name, revisionId]) => ({ name, revisionId }))
+  };
+}